@@ -7,10 +7,12 @@ namespace TicTacToeGame.Controllers;
 public sealed class GameController : Controller
 {
     private readonly IGames _games;
+    private readonly ITournaments _tournaments;
 
-    public GameController(IGames games)
+    public GameController(IGames games, ITournaments tournaments)
     {
         _games = games;
+        _tournaments = tournaments;
     }
 
     [HttpGet("/Game/{id}")]
@@ -21,6 +23,28 @@ public sealed class GameController : Controller
             return NotFound();
 
         var game = result.Value!;
+        var vm = new GameViewModel
+        {
+            GameId = game.GameId,
+            FriendlyName = game.FriendlyName,
+            Game = game,
+            TournamentId = _tournaments.GetTournamentId(game.GameId)
+        };
+
+        return View(vm);
+    }
+
+    [HttpGet("/Game/{id}/Replay")]
+    public IActionResult Replay(string id)
+    {
+        var result = _games.GetGame(id);
+        if (result.IsFailure)
+            return NotFound();
+
+        var game = result.Value!;
+        if (game.State.Status != GameStatus.Finished)
+            return RedirectToAction(nameof(Index), new { id });
+
         var vm = new GameViewModel
         {
             GameId = game.GameId,
@@ -30,6 +54,7 @@ public sealed class GameController : Controller
 
         return View(vm);
     }
+
     [HttpPost]
     public IActionResult Cancel(string gameId)
     {
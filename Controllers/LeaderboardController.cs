@@ -0,0 +1,31 @@
+using Microsoft.AspNetCore.Mvc;
+using TicTacToeGame.Models;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Controllers;
+
+public sealed class LeaderboardController : Controller
+{
+    private readonly IRatings _ratings;
+
+    public LeaderboardController(IRatings ratings)
+    {
+        _ratings = ratings;
+    }
+
+    // ?player= selects whose rating history is listed under the ranking.
+    [HttpGet("/Leaderboard")]
+    public IActionResult Index(string? player)
+    {
+        var selected = player is null ? null : _ratings.GetPlayer(player);
+
+        var vm = new LeaderboardViewModel
+        {
+            Players = _ratings.GetLeaderboard(),
+            SelectedPlayer = selected,
+            History = selected is null ? Array.Empty<RatingChange>() : _ratings.GetHistory(selected.Player)
+        };
+
+        return View(vm);
+    }
+}
@@ -0,0 +1,23 @@
+using Microsoft.AspNetCore.Mvc;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Controllers;
+
+public sealed class PlayerController : Controller
+{
+    private readonly IPlayerStats _playerStats;
+
+    public PlayerController(IPlayerStats playerStats)
+    {
+        _playerStats = playerStats;
+    }
+
+    [HttpGet("/Player/{name}")]
+    public IActionResult Index(string name)
+    {
+        if (string.IsNullOrWhiteSpace(name))
+            return NotFound();
+
+        return View(_playerStats.GetProfile(name));
+    }
+}
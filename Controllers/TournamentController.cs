@@ -0,0 +1,31 @@
+using Microsoft.AspNetCore.Mvc;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Controllers;
+
+public sealed class TournamentController : Controller
+{
+    private readonly ITournaments _tournaments;
+
+    public TournamentController(ITournaments tournaments)
+    {
+        _tournaments = tournaments;
+    }
+
+    [HttpGet("/Tournament")]
+    public IActionResult Index()
+    {
+        return View(_tournaments.GetAll());
+    }
+
+    // The bracket itself is drawn by the page from the TournamentUpdated pushes.
+    [HttpGet("/Tournament/{id}")]
+    public IActionResult Details(string id)
+    {
+        var result = _tournaments.Get(id);
+        if (result.IsFailure)
+            return NotFound();
+
+        return View(result.Value!);
+    }
+}
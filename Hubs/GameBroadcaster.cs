@@ -0,0 +1,254 @@
+using Microsoft.AspNetCore.SignalR;
+using TicTacToeGame.Models;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Hubs;
+
+public sealed class GameBroadcaster : IGameBroadcaster
+{
+    private readonly IHubContext<TicTacToeHub> _hubContext;
+    private readonly IGames _games;
+    private readonly ISpectators _spectators;
+    private readonly IOnlinePlayers _onlinePlayers;
+    private readonly IRatings _ratings;
+    private readonly ITournaments _tournaments;
+    private readonly IChatRooms _chatRooms;
+    private readonly TimeProvider _timeProvider;
+
+    public GameBroadcaster(
+        IHubContext<TicTacToeHub> hubContext,
+        IGames games,
+        ISpectators spectators,
+        IOnlinePlayers onlinePlayers,
+        IRatings ratings,
+        ITournaments tournaments,
+        IChatRooms chatRooms,
+        TimeProvider timeProvider)
+    {
+        _hubContext = hubContext;
+        _games = games;
+        _spectators = spectators;
+        _onlinePlayers = onlinePlayers;
+        _ratings = ratings;
+        _tournaments = tournaments;
+        _chatRooms = chatRooms;
+        _timeProvider = timeProvider;
+    }
+
+    // Lobby chat channel and the group of connections currently showing the lobby.
+    public const string LobbyGroup = "lobby";
+
+    public static string GameGroup(string gameId) => $"game:{gameId}";
+
+    public static string TournamentGroup(string tournamentId) => $"tournament:{tournamentId}";
+
+    // Same list for GetLobby and broadcasts: in-progress games stay listed so they can be watched.
+    public object BuildLobbyPayload()
+    {
+        var nonFinished = _games.GetAllNonFinished();
+
+        var games = nonFinished
+            .Where(g => !g.IsPrivate)
+            .Select(ToLobbyEntry)
+            .ToArray();
+
+        // A player is "in game" while seated in a running game; several tabs count once.
+        // Private games don't reveal their id.
+        var playingIn = new Dictionary<string, string?>(StringComparer.Ordinal);
+        foreach (var game in nonFinished.Where(g => g.State.Status == GameStatus.InProgress))
+        {
+            var visibleId = game.IsPrivate ? null : game.GameId;
+            playingIn.TryAdd(game.HostPlayer, visibleId);
+            if (game.GuestPlayer is { } guest)
+                playingIn.TryAdd(guest, visibleId);
+        }
+
+        // connectionId is one of the player's connections, the target of a direct challenge.
+        var onlinePlayers = _onlinePlayers.GetAll()
+            .GroupBy(p => p.DisplayName, StringComparer.Ordinal)
+            .OrderBy(g => g.Key, StringComparer.OrdinalIgnoreCase)
+            .Select(g => new
+            {
+                displayName = g.Key,
+                connectionId = g.First().ConnectionId,
+                rating = _ratings.GetRating(g.Key),
+                status = playingIn.ContainsKey(g.Key) ? "InGame" : "Idle",
+                gameId = playingIn.GetValueOrDefault(g.Key)
+            })
+            .ToArray();
+
+        return new { waitingGames = games, onlinePlayers };
+    }
+
+    public Task LobbyUpdatedAsync()
+        => _hubContext.Clients.All.SendAsync("LobbyUpdated", BuildLobbyPayload());
+
+    public async Task GameUpdatedAsync(string gameId)
+    {
+        var result = _games.GetGame(gameId);
+        if (result.IsFailure)
+            return;
+
+        var game = result.Value!;
+        var series = _games.GetSeriesScore(game.SeriesId);
+
+        // Every ending passes through here; the chat history isn't replayed for games that are over.
+        if (game.State.Status is GameStatus.Finished or GameStatus.Cancelled)
+            _chatRooms.Remove(GameGroup(gameId));
+        var now = _timeProvider.GetUtcNow();
+        var moveDeadline = game.State.MoveDeadline;
+        var payload = new
+        {
+            gameId = game.GameId,
+            status = game.State.Status.ToString(),
+            nextTurnPlayerId = game.State.NextTurnPlayer,
+            winnerPlayerId = game.State.WinnerPlayer,
+            endReason = game.State.EndReason?.ToString(),
+            drawOfferedBy = game.DrawOfferedBy,
+            board = game.State.Board.Select(c => c.ToString()).ToArray(),
+            variant = game.State.Variant.ToString(),
+            // Wild: each move names the mark it places.
+            playersChooseMark = GameRules.For(game.State.Variant).PlayersChooseMark,
+            boardSize = game.State.BoardSize,
+            boardRows = game.State.Rows,
+            winLength = game.State.WinLength,
+            gravity = game.State.Gravity,
+            ultimate = game.State.Variant == GameVariant.Ultimate ? BuildUltimatePayload(game.State) : null,
+            hostPlayer = game.HostPlayer,
+            guestPlayer = game.GuestPlayer,
+            hostRating = RatingOf(game, game.HostPlayer),
+            guestRating = RatingOf(game, game.GuestPlayer),
+            spectatorCount = _spectators.Count(game.GameId),
+            isCasual = game.IsCasual,
+            allowsTakeBacks = game.AllowsTakeBacks,
+            undoRequestedBy = game.UndoRequestedBy,
+            // Players with a move on the board, i.e. something to take back.
+            playersWithMoves = game.State.Moves.Select(m => m.Player).Distinct().ToArray(),
+            rematchRequestedBy = game.RematchRequestedBy,
+            rematchGameId = game.RematchGameId,
+            tournamentId = _tournaments.GetTournamentId(game.GameId),
+            series = new
+            {
+                wins = series.Wins.Select(w => new { player = w.Key, count = w.Value }).ToArray(),
+                draws = series.Draws
+            },
+            moveTimeLimitSeconds = game.State.MoveTimeLimitSeconds,
+            // Times are relative, so the client clocks do not depend on the server's wall clock.
+            turnRemainingMs = moveDeadline is { } d
+                ? Math.Max(0, (long)(d - now).TotalMilliseconds)
+                : (long?)null,
+            clockIncrementSeconds = game.State.ClockIncrementSeconds,
+            clocks = game.State.ClockRemaining
+                .Select(c => new
+                {
+                    player = c.Key,
+                    remainingMs = Math.Max(0, (long)(c.Key == game.State.NextTurnPlayer && game.State.ClockDeadline is { } clockDeadline
+                        ? (clockDeadline - now).TotalMilliseconds
+                        : c.Value.TotalMilliseconds)),
+                    running = c.Key == game.State.NextTurnPlayer && game.State.Status == GameStatus.InProgress
+                })
+                .ToArray()
+        };
+
+        await _hubContext.Clients.Group(GameGroup(gameId)).SendAsync("GameUpdated", payload);
+    }
+
+    // gameId is the latest game of the pairing; earlier ones were drawn (elimination) or cancelled.
+    public object BuildTournamentPayload(Tournament tournament) => new
+    {
+        tournamentId = tournament.TournamentId,
+        name = tournament.Name,
+        organizer = tournament.Organizer,
+        format = tournament.Format.ToString(),
+        status = tournament.Status.ToString(),
+        maxPlayers = tournament.MaxPlayers,
+        variant = (tournament.GameOptions.Variant ?? GameVariant.Classic).ToString(),
+        poolCount = tournament.PoolCount,
+        boardSize = tournament.GameOptions.BoardSize,
+        boardRows = tournament.GameOptions.BoardRows,
+        winLength = tournament.GameOptions.WinLength,
+        gravity = tournament.GameOptions.Gravity,
+        players = tournament.Players
+            .Select(p => new { name = p, rating = _ratings.GetRating(p) })
+            .ToArray(),
+        matches = tournament.Matches
+            .Select(m => new
+            {
+                matchId = m.MatchId,
+                bracket = m.Bracket.ToString(),
+                round = m.Round,
+                position = m.Position,
+                pool = m.Pool,
+                playerA = m.PlayerA,
+                playerB = m.PlayerB,
+                byeA = m.ByeA,
+                byeB = m.ByeB,
+                status = m.Status.ToString(),
+                gameId = m.GameIds.Count > 0 ? m.GameIds[^1] : null,
+                gamesPlayed = m.GameIds.Count,
+                winner = m.Winner,
+                isDraw = m.IsDraw
+            })
+            .ToArray(),
+        standings = _tournaments.GetStandings(tournament)
+            .Select(s => new
+            {
+                player = s.Player,
+                pool = s.Pool,
+                played = s.Played,
+                wins = s.Wins,
+                draws = s.Draws,
+                losses = s.Losses,
+                points = s.Points
+            })
+            .ToArray(),
+        winners = tournament.Winners
+    };
+
+    public async Task TournamentUpdatedAsync(string tournamentId)
+    {
+        var result = _tournaments.Get(tournamentId);
+        if (result.IsFailure)
+            return;
+
+        await _hubContext.Clients.Group(TournamentGroup(tournamentId)).SendAsync("TournamentUpdated", BuildTournamentPayload(result.Value!));
+    }
+
+    // Which sub-board the next move must go in (null: any open one) and who took each sub-board.
+    private static object BuildUltimatePayload(GameState state) => new
+    {
+        activeSubBoard = state.Status == GameStatus.InProgress ? UltimateRules.ActiveSubBoard(state.Board, state.Moves) : null,
+        subBoardWinners = Enumerable.Range(0, 9).Select(s => SubBoardResult(state.Board, s)).ToArray()
+    };
+
+    private static string? SubBoardResult(Cell[] board, int subBoard) => UltimateRules.SubBoardWinner(board, subBoard) switch
+    {
+        Cell.Empty => UltimateRules.IsClosed(board, subBoard) ? "Draw" : null,
+        var winner => winner.ToString()
+    };
+
+    // The computer has no rating.
+    private int? RatingOf(Game game, string? player)
+        => player is null || player == game.ComputerPlayerName ? null : _ratings.GetRating(player);
+
+    private object ToLobbyEntry(Game g) => new
+    {
+        gameId = g.GameId,
+        friendlyName = g.FriendlyName,
+        hostPlayer = g.HostPlayer,
+        guestPlayer = g.GuestPlayer,
+        hostRating = RatingOf(g, g.HostPlayer),
+        guestRating = RatingOf(g, g.GuestPlayer),
+        status = g.State.Status.ToString(),
+        variant = g.State.Variant.ToString(),
+        boardSize = g.State.BoardSize,
+        boardRows = g.State.Rows,
+        winLength = g.State.WinLength,
+        gravity = g.State.Gravity,
+        moveTimeLimitSeconds = g.State.MoveTimeLimitSeconds,
+        clockInitialSeconds = g.State.ClockInitialSeconds,
+        clockIncrementSeconds = g.State.ClockIncrementSeconds,
+        hasPassword = g.HasPassword,
+        isCasual = g.IsCasual
+    };
+}
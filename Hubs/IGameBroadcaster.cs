@@ -0,0 +1,13 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Hubs;
+
+// Pushes lobby and game state to clients; usable outside a hub call (e.g. from hosted services).
+public interface IGameBroadcaster
+{
+    object BuildLobbyPayload();
+    Task LobbyUpdatedAsync();
+    Task GameUpdatedAsync(string gameId);
+    object BuildTournamentPayload(Tournament tournament);
+    Task TournamentUpdatedAsync(string tournamentId);
+}
@@ -7,68 +7,158 @@ namespace TicTacToeGame.Hubs;
 public sealed class TicTacToeHub : Hub
 {
     private const string DisplayNameItemKey = "DisplayName";
+    private const string PlayerKeyItemKey = "PlayerKey";
+    private const int MaxReclaimSeats = 10;
 
     private readonly IOnlinePlayers _onlinePlayers;
     private readonly IGames _games;
-
-    public TicTacToeHub(IOnlinePlayers onlinePlayers, IGames games)
+    private readonly IComputerTurns _computerTurns;
+    private readonly ISpectators _spectators;
+    private readonly IGameBroadcaster _broadcaster;
+    private readonly IChatRooms _chatRooms;
+    private readonly IChallenges _challenges;
+    private readonly IMatchmaking _matchmaking;
+    private readonly ITournaments _tournaments;
+
+    public TicTacToeHub(
+        IOnlinePlayers onlinePlayers,
+        IGames games,
+        IComputerTurns computerTurns,
+        ISpectators spectators,
+        IGameBroadcaster broadcaster,
+        IChatRooms chatRooms,
+        IChallenges challenges,
+        IMatchmaking matchmaking,
+        ITournaments tournaments)
     {
         _onlinePlayers = onlinePlayers;
         _games = games;
+        _computerTurns = computerTurns;
+        _spectators = spectators;
+        _broadcaster = broadcaster;
+        _chatRooms = chatRooms;
+        _challenges = challenges;
+        _matchmaking = matchmaking;
+        _tournaments = tournaments;
     }
 
     public override async Task OnConnectedAsync()
     {
-        var displayName = Context.GetHttpContext()?.Request.Query["displayName"].ToString();
+        var query = Context.GetHttpContext()?.Request.Query;
+        var displayName = query?["displayName"].ToString();
         displayName = (displayName ?? string.Empty).Trim();
 
-        if (!string.IsNullOrWhiteSpace(displayName))
+        var playerKey = query?["playerKey"].ToString() ?? string.Empty;
+        if (playerKey.Length != 32 || !playerKey.All(char.IsAsciiHexDigit))
+            playerKey = Guid.NewGuid().ToString("N");
+
+        Context.Items[PlayerKeyItemKey] = playerKey;
+
+        // A valid seat token wins over the display name, so automatic reconnects keep the seat.
+        var seatPlayer = _games.GetSeatPlayer(query?["gameId"].ToString() ?? string.Empty, query?["playerToken"].ToString() ?? string.Empty);
+
+        if (seatPlayer.IsSuccess)
+        {
+            SetIdentity(_onlinePlayers.AddOrUpdate(Context.ConnectionId, seatPlayer.Value!, playerKey));
+        }
+        else if (!string.IsNullOrWhiteSpace(displayName))
         {
             if (displayName.Length > 32)
                 displayName = displayName[..32];
 
-            Context.Items[DisplayNameItemKey] = displayName;
-            _onlinePlayers.AddOrUpdate(Context.ConnectionId, displayName);
+            // A seat held under the name proves it, so a new tab of a seated player keeps the name.
+            if (ReclaimSeatName(displayName, query?["seats"].ToString()) is { } seatName)
+            {
+                SetIdentity(_onlinePlayers.AddOrUpdate(Context.ConnectionId, seatName, playerKey));
+            }
+            else
+            {
+                // Duplicate names get a numeric suffix; the client is told which name it ended up with.
+                var player = _onlinePlayers.Register(Context.ConnectionId, displayName, playerKey, _games.IsNameReserved);
+                SetIdentity(player);
+            }
         }
 
+        await Clients.Caller.SendAsync("DisplayNameAssigned", new
+        {
+            requestedName = displayName,
+            displayName = Context.Items.TryGetValue(DisplayNameItemKey, out var assigned) ? assigned : null,
+            playerKey
+        });
+
         await BroadcastLobbyAsync();
         await base.OnConnectedAsync();
     }
 
     public override async Task OnDisconnectedAsync(Exception? exception)
     {
+        _onlinePlayers.Remove(Context.ConnectionId);
+        _matchmaking.Leave(Context.ConnectionId);
+
+        foreach (var challenge in _challenges.RemoveFor(Context.ConnectionId))
+        {
+            var otherConnectionId = challenge.ChallengerConnectionId == Context.ConnectionId
+                ? challenge.TargetConnectionId
+                : challenge.ChallengerConnectionId;
+
+            await Clients.Client(otherConnectionId).SendAsync("ChallengeCancelled", new { challengeId = challenge.ChallengeId });
+        }
+
+        if (_spectators.Remove(Context.ConnectionId) is { } watchedGameId)
+            await BroadcastGameAsync(watchedGameId);
+
         await BroadcastLobbyAsync();
         await base.OnDisconnectedAsync(exception);
     }
 
     public async Task GetLobby()
     {
-        var games = _games.GetAllNonFinished();
+        await Clients.Caller.SendAsync("LobbyUpdated", _broadcaster.BuildLobbyPayload());
+    }
 
-        await Clients.Caller.SendAsync("LobbyUpdated", new { waitingGames = games });
+    // Joins the lobby chat; history is replayed so the panel isn't empty after a reload.
+    public async Task SubscribeLobby()
+    {
+        await Groups.AddToGroupAsync(Context.ConnectionId, GameBroadcaster.LobbyGroup);
+        await Clients.Caller.SendAsync("ChatHistory", new
+        {
+            channel = GameBroadcaster.LobbyGroup,
+            messages = _chatRooms.GetRecent(GameBroadcaster.LobbyGroup).Select(ToChatPayload)
+        });
     }
 
-    public async Task CreateGame(string friendlyName)
+    public async Task SendLobbyChatMessage(string text)
     {
         var displayName = GetDisplayNameOrThrow();
 
-        var result = _games.CreateGame(hostPlayer: displayName, friendlyName: friendlyName);
+        var result = _chatRooms.Post(GameBroadcaster.LobbyGroup, displayName, text);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        await Clients.Group(GameBroadcaster.LobbyGroup).SendAsync("ChatMessage", ToChatPayload(result.Value!));
+    }
+
+    public async Task CreateGame(string friendlyName, CreateGameOptions? options)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _games.CreateGame(hostPlayer: displayName, friendlyName: friendlyName, options: options);
         if (result.IsFailure)
             throw new HubException(result.Error);
 
         var game = result.Value!;
         await Groups.AddToGroupAsync(Context.ConnectionId, GetGameGroup(game.GameId));
 
-        await Clients.Caller.SendAsync("GameCreated", new { gameId = game.GameId, friendlyName = game.FriendlyName });
+        await Clients.Caller.SendAsync("GameCreated", new { gameId = game.GameId, friendlyName = game.FriendlyName, playerToken = game.HostToken, inviteCode = game.InviteCode });
         await BroadcastLobbyAsync();
         await BroadcastGameAsync(game.GameId);
     }
 
-    public async Task JoinGame(string gameId)
+    public async Task JoinGame(string gameId, string? inviteCode, string? password)
     {
         var displayName = GetDisplayNameOrThrow();
 
-        var result = _games.JoinGame(gameId, guestPlayer: displayName);
+        var result = _games.JoinGame(gameId, guestPlayer: displayName, inviteCode: inviteCode, password: password);
         if (result.IsFailure)
             throw new HubException(result.Error);
 
@@ -76,16 +166,190 @@ public sealed class TicTacToeHub : Hub
 
         await Groups.AddToGroupAsync(Context.ConnectionId, GetGameGroup(gameId));
 
-        await Clients.Caller.SendAsync("GameJoined", new { gameId = game.GameId, friendlyName = game.FriendlyName });
+        await Clients.Caller.SendAsync("GameJoined", new { gameId = game.GameId, friendlyName = game.FriendlyName, playerToken = game.TokenFor(displayName) });
 
         await BroadcastLobbyAsync();
         await BroadcastGameAsync(gameId);
     }
 
-    public async Task SubscribeGame(string gameId)
+    public async Task JoinGameByCode(string inviteCode)
+    {
+        var result = _games.FindByInviteCode(inviteCode);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        await JoinGame(result.Value!.GameId, inviteCode, password: null);
+    }
+
+    // Queues the caller for quick play, or pairs them with the player who has waited longest on
+    // the same board. Both players then get GameJoined, as if they had joined from the lobby.
+    public async Task<object> EnterMatchmaking(CreateGameOptions? options)
     {
         var displayName = GetDisplayNameOrThrow();
 
+        var variant = options?.Variant ?? GameVariant.Classic;
+        if (!GameRules.IsKnown(variant))
+            throw new HubException("Unknown game type.");
+
+        var (boardSize, rows, winLength) = GameRules.Dimensions(variant, options?.BoardSize, options?.BoardRows, options?.WinLength);
+        var gravity = options?.Gravity == true;
+
+        var result = _matchmaking.Enter(Context.ConnectionId, displayName, boardSize, winLength, variant, rows, gravity);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        if (result.Value is not { } opponent)
+            return new { matched = false };
+
+        var game = _games.CreateMatch(
+            hostPlayer: opponent.Player,
+            guestPlayer: displayName,
+            friendlyName: $"Quick play: {opponent.Player} vs {displayName}",
+            options: new CreateGameOptions
+            {
+                Variant = variant,
+                BoardSize = boardSize,
+                BoardRows = rows,
+                WinLength = winLength,
+                Gravity = gravity
+            });
+
+        // The opponent was already taken off the queue; they go back to waiting.
+        if (game.IsFailure)
+        {
+            _matchmaking.Requeue(opponent);
+            throw new HubException(game.Error);
+        }
+
+        var created = game.Value!;
+        await Groups.AddToGroupAsync(opponent.ConnectionId, GetGameGroup(created.GameId));
+        await Groups.AddToGroupAsync(Context.ConnectionId, GetGameGroup(created.GameId));
+
+        await Clients.Client(opponent.ConnectionId).SendAsync("GameJoined", new { gameId = created.GameId, friendlyName = created.FriendlyName, playerToken = created.HostToken });
+        await Clients.Caller.SendAsync("GameJoined", new { gameId = created.GameId, friendlyName = created.FriendlyName, playerToken = created.GuestToken });
+
+        await BroadcastLobbyAsync();
+        return new { matched = true };
+    }
+
+    public Task LeaveMatchmaking()
+    {
+        _matchmaking.Leave(Context.ConnectionId);
+        return Task.CompletedTask;
+    }
+
+    public async Task<object> ChallengePlayer(string targetConnectionId, CreateGameOptions? options)
+    {
+        if (!_onlinePlayers.TryGet(Context.ConnectionId, out var challenger) || challenger is null)
+            throw new HubException("Display name not set.");
+
+        if (!_onlinePlayers.TryGet(targetConnectionId, out var target) || target is null)
+            throw new HubException("Player is no longer online.");
+
+        var result = _challenges.Create(challenger, target, options);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        var challenge = result.Value!;
+        await Clients.Client(target.ConnectionId).SendAsync("ChallengeReceived", new
+        {
+            challengeId = challenge.ChallengeId,
+            challenger = challenge.Challenger,
+            variant = (options?.Variant ?? GameVariant.Classic).ToString(),
+            boardSize = options?.BoardSize,
+            boardRows = options?.BoardRows,
+            winLength = options?.WinLength,
+            gravity = options?.Gravity == true,
+            moveTimeLimitSeconds = options?.MoveTimeLimitSeconds,
+            clockInitialSeconds = options?.ClockInitialSeconds,
+            clockIncrementSeconds = options?.ClockIncrementSeconds,
+            expiresAt = challenge.ExpiresAt
+        });
+
+        return new { challengeId = challenge.ChallengeId, target = challenge.Target };
+    }
+
+    // Accepting creates the game with both seats taken; each side gets its own seat token.
+    public async Task RespondToChallenge(string challengeId, bool accept)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _challenges.Take(challengeId, Context.ConnectionId);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        var challenge = result.Value!;
+        if (!accept)
+        {
+            await Clients.Client(challenge.ChallengerConnectionId).SendAsync("ChallengeDeclined", new
+            {
+                challengeId,
+                target = displayName,
+                reason = (string?)null
+            });
+            return;
+        }
+
+        if (!_onlinePlayers.TryGet(challenge.ChallengerConnectionId, out _))
+            throw new HubException("Player is no longer online.");
+
+        var game = _games.CreateMatch(
+            hostPlayer: challenge.Challenger,
+            guestPlayer: displayName,
+            friendlyName: $"{challenge.Challenger} vs {displayName}",
+            options: challenge.Options);
+
+        if (game.IsFailure)
+        {
+            await Clients.Client(challenge.ChallengerConnectionId).SendAsync("ChallengeDeclined", new
+            {
+                challengeId,
+                target = displayName,
+                reason = game.Error
+            });
+            throw new HubException(game.Error);
+        }
+
+        var gameId = game.Value!.GameId;
+        await Groups.AddToGroupAsync(challenge.ChallengerConnectionId, GetGameGroup(gameId));
+        await Groups.AddToGroupAsync(Context.ConnectionId, GetGameGroup(gameId));
+
+        await Clients.Client(challenge.ChallengerConnectionId).SendAsync("ChallengeAccepted", new
+        {
+            challengeId,
+            gameId,
+            playerToken = game.Value.HostToken
+        });
+        await Clients.Caller.SendAsync("ChallengeAccepted", new
+        {
+            challengeId,
+            gameId,
+            playerToken = game.Value.GuestToken
+        });
+
+        await BroadcastLobbyAsync();
+    }
+
+    public async Task<object> SubscribeGame(string gameId, string? playerToken)
+    {
+        // Reclaim the seat first: a new tab or device may not have a display name yet.
+        if (!string.IsNullOrWhiteSpace(playerToken))
+        {
+            var seatPlayer = _games.GetSeatPlayer(gameId, playerToken);
+            if (seatPlayer.IsFailure)
+                throw new HubException(seatPlayer.Error);
+
+            SetIdentity(_onlinePlayers.AddOrUpdate(Context.ConnectionId, seatPlayer.Value!, GetPlayerKey()));
+            await Clients.Caller.SendAsync("DisplayNameAssigned", new
+            {
+                requestedName = seatPlayer.Value,
+                displayName = seatPlayer.Value,
+                playerKey = GetPlayerKey()
+            });
+        }
+
+        var displayName = GetDisplayNameOrThrow();
+
         var result = _games.GetGame(gameId);
         if (result.IsFailure)
             throw new HubException(result.Error);
@@ -94,22 +358,48 @@ public sealed class TicTacToeHub : Hub
         var isParticipant = string.Equals(game.HostPlayer, displayName, StringComparison.Ordinal) ||
                             string.Equals(game.GuestPlayer, displayName, StringComparison.Ordinal);
 
+        // Everyone else watches read-only: Games rejects their moves as non-participants.
         if (!isParticipant)
-            throw new HubException("You are not a participant of this game.");
+            _spectators.Add(Context.ConnectionId, gameId);
 
         await Groups.AddToGroupAsync(Context.ConnectionId, GetGameGroup(gameId));
         await BroadcastGameAsync(gameId);
+
+        // Replay recent chat so a reload or reconnect doesn't lose the conversation.
+        await Clients.Caller.SendAsync("ChatHistory", new
+        {
+            channel = GetGameGroup(gameId),
+            messages = _chatRooms.GetRecent(GetGameGroup(gameId)).Select(ToChatPayload)
+        });
+
+        return new
+        {
+            displayName,
+            isSpectator = !isParticipant,
+            playerToken = isParticipant ? game.TokenFor(displayName) : null,
+            inviteCode = isParticipant ? game.InviteCode : null
+        };
     }
 
-    public async Task MakeMove(string gameId, int cellIndex)
+    // Mark is only needed in Wild games, where the player picks X or O for each move.
+    public async Task MakeMove(string gameId, int cellIndex, Cell? mark)
     {
         var displayName = GetDisplayNameOrThrow();
 
-        var result = _games.MakeMove(gameId, displayName, cellIndex);
+        var result = _games.MakeMove(gameId, displayName, cellIndex, mark);
         if (result.IsFailure)
             throw new HubException(result.Error);
 
         await BroadcastGameAsync(gameId);
+        _computerTurns.Schedule(gameId);
+
+        // Finished games leave the lobby and their players become idle again.
+        var after = _games.GetGame(gameId);
+        if (after.IsSuccess && after.Value!.State.Status == GameStatus.Finished)
+        {
+            await AdvanceTournamentAsync(after.Value);
+            await BroadcastLobbyAsync();
+        }
     }
 
     public async Task CancelGame(string gameId)
@@ -120,10 +410,192 @@ public sealed class TicTacToeHub : Hub
         if (result.IsFailure)
             throw new HubException(result.Error);
 
+        // A started game is resigned rather than cancelled; either way it is over now.
+        var ended = _games.GetGame(gameId);
+        if (ended.IsSuccess)
+            await AdvanceTournamentAsync(ended.Value!);
+
         await BroadcastLobbyAsync();
         await BroadcastGameAsync(gameId);
     }
 
+    public async Task RequestRematch(string gameId)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _games.RequestRematch(gameId, displayName);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        // Once both accepted, the old game's payload carries rematchGameId and clients follow it.
+        if (result.Value!.RematchGameId is { } rematchGameId)
+        {
+            _computerTurns.Schedule(rematchGameId);
+
+            await BroadcastLobbyAsync();
+        }
+
+        await BroadcastGameAsync(gameId);
+    }
+
+    public async Task SendChatMessage(string gameId, string text)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var game = _games.GetGame(gameId);
+        if (game.IsFailure)
+            throw new HubException(game.Error);
+
+        var isParticipant = string.Equals(game.Value!.HostPlayer, displayName, StringComparison.Ordinal) ||
+                            string.Equals(game.Value.GuestPlayer, displayName, StringComparison.Ordinal);
+        if (!isParticipant && !_spectators.IsWatching(Context.ConnectionId, gameId))
+            throw new HubException("Join or watch the game to chat.");
+
+        // Players can still talk once the game is over, but the history is gone by then.
+        var isRunning = game.Value.State.Status is GameStatus.WaitingForOpponent or GameStatus.InProgress;
+        var result = _chatRooms.Post(GetGameGroup(gameId), displayName, text, keepHistory: isRunning);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        await Clients.Group(GetGameGroup(gameId)).SendAsync("ChatMessage", ToChatPayload(result.Value!));
+    }
+
+    public async Task Resign(string gameId)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _games.Resign(gameId, displayName);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        await BroadcastGameAsync(gameId);
+        await AdvanceTournamentAsync(result.Value!);
+        await BroadcastLobbyAsync();
+    }
+
+    public async Task OfferDraw(string gameId)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _games.OfferDraw(gameId, displayName);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        await BroadcastGameAsync(gameId);
+
+        // Both players offered: the draw is agreed.
+        if (result.Value!.State.Status == GameStatus.Finished)
+        {
+            await AdvanceTournamentAsync(result.Value);
+            await BroadcastLobbyAsync();
+        }
+    }
+
+    public async Task AcceptDraw(string gameId)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _games.AcceptDraw(gameId, displayName);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        await BroadcastGameAsync(gameId);
+        await AdvanceTournamentAsync(result.Value!);
+        await BroadcastLobbyAsync();
+    }
+
+    public async Task RequestUndo(string gameId)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _games.RequestUndo(gameId, displayName);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        // Against the computer the move is already taken back; otherwise the opponent is asked.
+        if (result.Value!.UndoRequestedBy is not null)
+            await Clients.Group(GetGameGroup(gameId)).SendAsync("UndoRequested", new { gameId, player = displayName });
+
+        await BroadcastGameAsync(gameId);
+    }
+
+    public async Task RespondToUndo(string gameId, bool accept)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _games.RespondToUndo(gameId, displayName, accept);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        await Clients.Group(GetGameGroup(gameId)).SendAsync("UndoAnswered", new { gameId, player = displayName, accepted = accept });
+        await BroadcastGameAsync(gameId);
+    }
+
+    public object CreateTournament(string name, CreateTournamentOptions? options)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _tournaments.Create(displayName, name, options);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        return new { tournamentId = result.Value!.TournamentId };
+    }
+
+    // Anyone can follow the bracket; the current state is sent straight away.
+    public async Task SubscribeTournament(string tournamentId)
+    {
+        var result = _tournaments.Get(tournamentId);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        await Groups.AddToGroupAsync(Context.ConnectionId, GameBroadcaster.TournamentGroup(tournamentId));
+        await Clients.Caller.SendAsync("TournamentUpdated", _broadcaster.BuildTournamentPayload(result.Value!));
+    }
+
+    public async Task RegisterForTournament(string tournamentId)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _tournaments.Register(tournamentId, displayName);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        await _broadcaster.TournamentUpdatedAsync(tournamentId);
+    }
+
+    public async Task WithdrawFromTournament(string tournamentId)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _tournaments.Withdraw(tournamentId, displayName);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        await _broadcaster.TournamentUpdatedAsync(tournamentId);
+    }
+
+    // The first games start straight away; players find them on the bracket page.
+    public async Task StartTournament(string tournamentId)
+    {
+        var displayName = GetDisplayNameOrThrow();
+
+        var result = _tournaments.Start(tournamentId, displayName);
+        if (result.IsFailure)
+            throw new HubException(result.Error);
+
+        await _broadcaster.TournamentUpdatedAsync(tournamentId);
+        await BroadcastLobbyAsync();
+    }
+
+    private void SetIdentity(OnlinePlayer player)
+    {
+        Context.Items[DisplayNameItemKey] = player.DisplayName;
+    }
+
+    private string GetPlayerKey()
+        => Context.Items.TryGetValue(PlayerKeyItemKey, out var v) && v is string s ? s : string.Empty;
+
     private string GetDisplayNameOrThrow()
     {
         if (Context.Items.TryGetValue(DisplayNameItemKey, out var v) && v is string s && !string.IsNullOrWhiteSpace(s))
@@ -132,40 +604,47 @@ public sealed class TicTacToeHub : Hub
         throw new HubException("Display name not set.");
     }
 
-    private Task BroadcastLobbyAsync()
+    private static object ToChatPayload(ChatMessage message) => new
     {
-        var waiting = _games.GetWaitingForOpponent()
-            .Select(g => new
-            {
-                gameId = g.GameId,
-                friendlyName = g.FriendlyName,
-                hostPlayer = g.HostPlayer,
-                guestPlayer = g.GuestPlayer,
-                status = g.State.Status.ToString()
-            })
-            .ToArray();
-
-        return Clients.All.SendAsync("LobbyUpdated", new { waitingGames = waiting });
+        channel = message.Channel,
+        messageId = message.MessageId,
+        sender = message.Sender,
+        text = message.Text,
+        sentAt = message.SentAt
+    };
+
+    // Tournament games move their players on as soon as they end, which may start new games.
+    private async Task AdvanceTournamentAsync(Game game)
+    {
+        if (_tournaments.RecordResult(game) is { } tournament)
+            await _broadcaster.TournamentUpdatedAsync(tournament.TournamentId);
     }
 
-    private async Task BroadcastGameAsync(string gameId)
-    {
-        var result = _games.GetGame(gameId);
-        if (result.IsFailure)
-            return;
+    private Task BroadcastLobbyAsync() => _broadcaster.LobbyUpdatedAsync();
 
-        var game = result.Value!;
-        var payload = new
+    // "gameId:token" pairs, comma separated. Only seats in games still waiting or running count:
+    // those are what keep the name reserved.
+    private string? ReclaimSeatName(string displayName, string? seats)
+    {
+        foreach (var seat in (seats ?? string.Empty).Split(',', StringSplitOptions.RemoveEmptyEntries).Take(MaxReclaimSeats))
         {
-            gameId = game.GameId,
-            status = game.State.Status.ToString(),
-            nextTurnPlayerId = game.State.NextTurnPlayer,
-            winnerPlayerId = game.State.WinnerPlayer,
-            board = game.State.Board.Select(c => c.ToString()).ToArray()
-        };
+            var parts = seat.Split(':', 2);
+            if (parts.Length != 2)
+                continue;
+
+            var seatPlayer = _games.GetSeatPlayer(parts[0], parts[1]);
+            if (seatPlayer.IsFailure || !string.Equals(seatPlayer.Value, displayName, StringComparison.OrdinalIgnoreCase))
+                continue;
 
-        await Clients.Group(GetGameGroup(gameId)).SendAsync("GameUpdated", payload);
+            var game = _games.GetGame(parts[0]);
+            if (game.IsSuccess && game.Value!.State.Status is GameStatus.WaitingForOpponent or GameStatus.InProgress)
+                return seatPlayer.Value;
+        }
+
+        return null;
     }
 
-    private static string GetGameGroup(string gameId) => $"game:{gameId}";
+    private Task BroadcastGameAsync(string gameId) => _broadcaster.GameUpdatedAsync(gameId);
+
+    private static string GetGameGroup(string gameId) => GameBroadcaster.GameGroup(gameId);
 }
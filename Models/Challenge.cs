@@ -0,0 +1,11 @@
+namespace TicTacToeGame.Models;
+
+// A pending invitation from one connection to another; accepting it creates the game.
+public sealed record Challenge(
+    string ChallengeId,
+    string ChallengerConnectionId,
+    string Challenger,
+    string TargetConnectionId,
+    string Target,
+    CreateGameOptions? Options,
+    DateTimeOffset ExpiresAt);
@@ -0,0 +1,8 @@
+namespace TicTacToeGame.Models;
+
+public sealed record ChatMessage(
+    string MessageId,
+    string Channel,
+    string Sender,
+    string Text,
+    DateTimeOffset SentAt);
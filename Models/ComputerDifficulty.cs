@@ -0,0 +1,8 @@
+namespace TicTacToeGame.Models;
+
+public enum ComputerDifficulty
+{
+    Easy = 0,
+    Medium = 1,
+    Hard = 2
+}
@@ -0,0 +1,4 @@
+namespace TicTacToeGame.Models;
+
+// The computer's pick; Mark matters in Wild games, where any move may place X or O.
+public sealed record ComputerMove(int CellIndex, Cell Mark);
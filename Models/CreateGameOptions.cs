@@ -0,0 +1,39 @@
+namespace TicTacToeGame.Models;
+
+public sealed class CreateGameOptions
+{
+    // When set, the guest seat is taken by the computer and the game starts immediately.
+    public ComputerDifficulty? ComputerDifficulty { get; init; }
+
+    // Rule set; defaults to classic. Ultimate and Qubic bring their own boards, so BoardSize and
+    // WinLength are ignored for them; the other variants play on the board chosen here.
+    public GameVariant? Variant { get; init; }
+
+    // Square board side, or the width when BoardRows is set; defaults to the classic 3x3.
+    public int? BoardSize { get; init; }
+
+    // Height of a rectangular board such as Connect Four's 7x6; defaults to BoardSize.
+    public int? BoardRows { get; init; }
+
+    // Marks drop to the lowest empty cell of the chosen column. Not available for Ultimate or Qubic.
+    public bool Gravity { get; init; }
+
+    // Marks in a row needed to win; defaults to the board size (capped at 5).
+    public int? WinLength { get; init; }
+
+    // Seconds allowed per move; null means no limit.
+    public int? MoveTimeLimitSeconds { get; init; }
+
+    // Chess clock: total seconds per player (null means no clock) and seconds added per move.
+    public int? ClockInitialSeconds { get; init; }
+    public int? ClockIncrementSeconds { get; init; }
+
+    // Hidden from the lobby; only the invite link or join code lets a guest in.
+    public bool IsPrivate { get; init; }
+
+    // Casual games are not rated and allow take-backs.
+    public bool IsCasual { get; init; }
+
+    // Listed in the lobby, but guests must enter this password; only its hash is kept.
+    public string? Password { get; init; }
+}
@@ -0,0 +1,15 @@
+namespace TicTacToeGame.Models;
+
+public sealed class CreateTournamentOptions
+{
+    public TournamentFormat Format { get; init; }
+
+    // Registration closes at this many players; defaults to 16.
+    public int? MaxPlayers { get; init; }
+
+    // Round robin only: number of pools; defaults to one pool where everyone plays everyone.
+    public int? PoolCount { get; init; }
+
+    // Board and time control for every game. Computer opponents, passwords and privacy are ignored.
+    public CreateGameOptions? GameOptions { get; init; }
+}
@@ -5,6 +5,52 @@ public sealed record Game(
     string FriendlyName,
     string HostPlayer,
     string? GuestPlayer,
-    GameState State);
+    GameState State,
+    ComputerDifficulty? ComputerOpponent = null)
+{
+    public string? ComputerPlayerName => ComputerOpponent is { } difficulty ? ComputerNameFor(difficulty) : null;
 
+    public static string ComputerNameFor(ComputerDifficulty difficulty) => $"Computer ({difficulty})";
+
+    // Rematches share the series id of the game that started the series.
+    public string SeriesId { get; init; } = GameId;
+
+    // Players who asked for a rematch after this game finished.
+    public IReadOnlyList<string> RematchRequestedBy { get; init; } = Array.Empty<string>();
+
+    // Set once both players accepted and the rematch was created.
+    public string? RematchGameId { get; init; }
+
+    // Tournament that paired the players; its rematches are ordinary games.
+    public string? TournamentId { get; init; }
+
+    // Secrets handed to whoever took a seat; presenting one reclaims the seat after a
+    // refresh, a new tab or a reconnect. Never sent to other clients.
+    public string? HostToken { get; init; }
+    public string? GuestToken { get; init; }
+
+    // Private games are left out of the lobby. The invite code is the short join code and
+    // the ?invite= value of the shareable link; JoinGame requires it while the guest seat is open.
+    public bool IsPrivate { get; init; }
+    public string? InviteCode { get; init; }
+
+    // Rated games (the default) don't allow take-backs; casual ones and games against the
+    // computer do, and aren't rated. Clocked games never do: the clock can't be wound back.
+    public bool IsCasual { get; init; }
+    public bool AllowsTakeBacks => (IsCasual || ComputerOpponent is not null) && State.ClockInitialSeconds is null;
+
+    // Player waiting for the opponent to approve taking back their last move.
+    public string? UndoRequestedBy { get; init; }
+
+    // Player who offered a draw; the offer lapses with the next move.
+    public string? DrawOfferedBy { get; init; }
+
+    // PBKDF2 "salt:hash" of the join password, both hex; null when the game has none.
+    public string? PasswordHash { get; init; }
+
+    public bool HasPassword => PasswordHash is not null;
+
+    public string? TokenFor(string player)
+        => player == HostPlayer ? HostToken : player == GuestPlayer ? GuestToken : null;
+}
 
@@ -16,8 +16,82 @@ public enum Cell
     O = 2
 }
 
+public enum GameEndReason
+{
+    Line = 0,
+    BoardFull = 1,
+    Resignation = 2,
+    AgreedDraw = 3,
+    Timeout = 4,
+    Cancelled = 5
+}
+
 public sealed record GameState(
     Cell[] Board,
     string? NextTurnPlayer,
     GameStatus Status,
-    string? WinnerPlayer);
+    string? WinnerPlayer,
+    int BoardSize = 3,
+    int WinLength = 3)
+{
+    public GameVariant Variant { get; init; }
+
+    // Rows of a rectangular board; null for a square one. BoardSize is always the width.
+    public int? BoardRows { get; init; }
+
+    public int Rows => BoardRows ?? BoardSize;
+
+    // Marks drop to the lowest empty cell of the column played, as in Connect Four.
+    public bool Gravity { get; init; }
+
+    // Every move played so far, oldest first.
+    public IReadOnlyList<Move> Moves { get; init; } = Array.Empty<Move>();
+
+    // Optional per-move limit; the player to move forfeits when it runs out.
+    public int? MoveTimeLimitSeconds { get; init; }
+
+    // Optional chess clock: each player's total budget, plus an increment added after every move.
+    public int? ClockInitialSeconds { get; init; }
+    public int ClockIncrementSeconds { get; init; }
+
+    // Clock time left per player as of TurnStartedAt; empty until both players are seated.
+    public IReadOnlyDictionary<string, TimeSpan> ClockRemaining { get; init; } = new Dictionary<string, TimeSpan>();
+
+    // When the current turn began (game start or the previous move).
+    public DateTimeOffset? TurnStartedAt { get; init; }
+
+    // When the game was won, drawn, forfeited or cancelled.
+    public DateTimeOffset? FinishedAt { get; init; }
+
+    // Why the game finished; null while it is running.
+    public GameEndReason? EndReason { get; init; }
+
+    // A real draw, not a cancelled game. Games stored before EndReason existed count as
+    // drawn when their board is full.
+    public bool IsDraw =>
+        Status == GameStatus.Finished && WinnerPlayer is null &&
+        (EndReason is GameEndReason.BoardFull or GameEndReason.AgreedDraw ||
+         (EndReason is null && Array.TrueForAll(Board, c => c != Cell.Empty)));
+
+    // Won or drawn; cancelled games have no result.
+    public bool HasResult => Status == GameStatus.Finished && (WinnerPlayer is not null || IsDraw);
+
+    public DateTimeOffset? MoveDeadline =>
+        MoveTimeLimitSeconds is { } limit && TurnStartedAt is { } started && Status == GameStatus.InProgress
+            ? started.AddSeconds(limit)
+            : null;
+
+    public DateTimeOffset? ClockDeadline =>
+        NextTurnPlayer is { } player && ClockRemaining.TryGetValue(player, out var remaining) &&
+        TurnStartedAt is { } started && Status == GameStatus.InProgress
+            ? started + remaining
+            : null;
+
+    // The moment the player to move loses on time, by whichever limit runs out first.
+    public DateTimeOffset? TurnDeadline =>
+        (MoveDeadline, ClockDeadline) switch
+        {
+            ({ } move, { } clock) => move < clock ? move : clock,
+            (var move, var clock) => move ?? clock
+        };
+}
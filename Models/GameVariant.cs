@@ -0,0 +1,22 @@
+namespace TicTacToeGame.Models;
+
+// The rule set a game is played by; Services/GameRules maps each one to its rule object.
+public enum GameVariant
+{
+    Classic = 0,
+
+    // Nine 3x3 boards in a 3x3 grid; the cell played picks the board the opponent plays in next.
+    Ultimate = 1,
+
+    // Completing a line of your own mark loses.
+    Misere = 2,
+
+    // Each move places X or O, the mover's choice; completing a line of either mark wins.
+    Wild = 3,
+
+    // Both players place X; whoever completes a line loses.
+    Notakto = 4,
+
+    // 3D tic-tac-toe: four in a row anywhere in a 4x4x4 cube.
+    Qubic = 5
+}
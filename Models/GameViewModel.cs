@@ -5,4 +5,7 @@ public sealed class GameViewModel
     public required string GameId { get; init; }
     public required string FriendlyName { get; init; }
     public required Game Game { get; init; }
+
+    // Set when the game is a tournament pairing, for the link back to the bracket.
+    public string? TournamentId { get; init; }
 }
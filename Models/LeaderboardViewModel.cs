@@ -0,0 +1,10 @@
+namespace TicTacToeGame.Models;
+
+public sealed class LeaderboardViewModel
+{
+    public IReadOnlyList<PlayerRating> Players { get; init; } = Array.Empty<PlayerRating>();
+
+    // Player whose rating history is shown below the table, if any.
+    public PlayerRating? SelectedPlayer { get; init; }
+    public IReadOnlyList<RatingChange> History { get; init; } = Array.Empty<RatingChange>();
+}
@@ -0,0 +1,15 @@
+namespace TicTacToeGame.Models;
+
+// A player waiting in the quick play queue for an opponent on the same board and game type.
+// Rows equals BoardSize on a square board.
+public sealed record MatchmakingTicket(
+    string ConnectionId,
+    string Player,
+    int BoardSize,
+    int WinLength,
+    DateTimeOffset EnqueuedAt)
+{
+    public GameVariant Variant { get; init; }
+    public int Rows { get; init; }
+    public bool Gravity { get; init; }
+}
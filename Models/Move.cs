@@ -0,0 +1,7 @@
+namespace TicTacToeGame.Models;
+
+public sealed record Move(
+    string Player,
+    Cell Mark,
+    int CellIndex,
+    DateTimeOffset PlayedAt);
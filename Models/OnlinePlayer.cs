@@ -1,3 +1,5 @@
 namespace TicTacToeGame.Models;
 
-public sealed record OnlinePlayer(string ConnectionId, string DisplayName);
+// PlayerKey identifies one browser tab across connections, so reconnects and page
+// navigation keep the same name instead of colliding with themselves.
+public sealed record OnlinePlayer(string ConnectionId, string DisplayName, string PlayerKey);
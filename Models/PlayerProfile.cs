@@ -0,0 +1,50 @@
+namespace TicTacToeGame.Models;
+
+public enum GameOutcome
+{
+    Win,
+    Loss,
+    Draw
+}
+
+// One finished game from the player's side. Mark is null when the rules let players pick a
+// mark for every move.
+public sealed record PlayerGameSummary(
+    string GameId,
+    string FriendlyName,
+    string Opponent,
+    Cell? Mark,
+    GameOutcome Outcome,
+    GameVariant Variant,
+    int BoardSize,
+    int Rows,
+    int WinLength,
+    bool Gravity,
+    DateTimeOffset? FinishedAt);
+
+public sealed class PlayerProfile
+{
+    public required string Player { get; init; }
+    public PlayerRating? Rating { get; init; }
+
+    public int Wins { get; init; }
+    public int Losses { get; init; }
+    public int Draws { get; init; }
+    public int GamesPlayed => Wins + Losses + Draws;
+
+    // Share of games won with each mark; null until the player has played with it.
+    public double? WinRateAsX { get; init; }
+    public double? WinRateAsO { get; init; }
+
+    // Most frequent first move, as a cell index on that game's board, with the board it was played on.
+    public int? FavouriteOpeningCell { get; init; }
+    public int? FavouriteOpeningBoardSize { get; init; }
+    public int? FavouriteOpeningRows { get; init; }
+    public GameVariant? FavouriteOpeningVariant { get; init; }
+
+    // Outcome of the latest game and how many games in a row ended the same way.
+    public GameOutcome? StreakOutcome { get; init; }
+    public int StreakLength { get; init; }
+
+    public IReadOnlyList<PlayerGameSummary> RecentGames { get; init; } = Array.Empty<PlayerGameSummary>();
+}
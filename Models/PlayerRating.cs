@@ -0,0 +1,6 @@
+namespace TicTacToeGame.Models;
+
+public sealed record PlayerRating(string Player, int Rating, int Wins, int Losses, int Draws)
+{
+    public int GamesPlayed => Wins + Losses + Draws;
+}
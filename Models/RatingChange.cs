@@ -0,0 +1,10 @@
+namespace TicTacToeGame.Models;
+
+// One rated game from a player's point of view; Score is 1 for a win, 0.5 for a draw, 0 for a loss.
+public sealed record RatingChange(
+    string GameId,
+    string Opponent,
+    double Score,
+    int RatingBefore,
+    int RatingAfter,
+    DateTimeOffset PlayedAt);
@@ -0,0 +1,5 @@
+namespace TicTacToeGame.Models;
+
+public sealed record SeriesScore(
+    IReadOnlyDictionary<string, int> Wins,
+    int Draws);
@@ -0,0 +1,101 @@
+namespace TicTacToeGame.Models;
+
+public enum TournamentFormat
+{
+    SingleElimination = 0,
+    DoubleElimination = 1,
+    RoundRobin = 2
+}
+
+public enum TournamentStatus
+{
+    Registering = 0,
+    InProgress = 1,
+    Finished = 2
+}
+
+// Where a match sits in the draw. Round-robin matches all belong to the winners bracket.
+public enum TournamentBracket
+{
+    Winners = 0,
+    Losers = 1,
+    GrandFinal = 2
+}
+
+public enum TournamentMatchStatus
+{
+    Pending = 0,
+    InProgress = 1,
+    Finished = 2
+}
+
+// One pairing of the draw. Elimination matches learn their players as earlier matches finish:
+// WinnerTo/LoserTo name the match (and slot 0 = A, 1 = B) the winner and loser move on to.
+// A bye slot will never get a player, so the other player goes through without a game.
+public sealed record TournamentMatch(
+    string MatchId,
+    TournamentBracket Bracket,
+    int Round,
+    int Position)
+{
+    // Round-robin pool, counted from 0.
+    public int Pool { get; init; }
+
+    public string? PlayerA { get; init; }
+    public string? PlayerB { get; init; }
+    public bool ByeA { get; init; }
+    public bool ByeB { get; init; }
+
+    public string? WinnerTo { get; init; }
+    public int WinnerSlot { get; init; }
+    public string? LoserTo { get; init; }
+    public int LoserSlot { get; init; }
+
+    public TournamentMatchStatus Status { get; init; }
+
+    // Games played for this pairing, latest last. A drawn elimination game is replayed with colours
+    // swapped, up to Tournaments.MaxGamesPerMatch games.
+    public IReadOnlyList<string> GameIds { get; init; } = Array.Empty<string>();
+
+    public string? Winner { get; init; }
+
+    public bool IsDraw => Status == TournamentMatchStatus.Finished && Winner is null && PlayerA is not null && PlayerB is not null;
+
+    public bool HasPlayers => PlayerA is not null && PlayerB is not null;
+
+    public bool Involves(string player) => PlayerA == player || PlayerB == player;
+}
+
+public sealed record Tournament(
+    string TournamentId,
+    string Name,
+    string Organizer,
+    TournamentFormat Format,
+    CreateGameOptions GameOptions,
+    int MaxPlayers,
+    DateTimeOffset CreatedAt)
+{
+    // Round robin only: players are split into this many pools that each play everyone.
+    public int PoolCount { get; init; } = 1;
+
+    public TournamentStatus Status { get; init; }
+
+    // Registration order until the start, seeding order (best rated first) after it.
+    public IReadOnlyList<string> Players { get; init; } = Array.Empty<string>();
+
+    public IReadOnlyList<TournamentMatch> Matches { get; init; } = Array.Empty<TournamentMatch>();
+
+    // The champion of an elimination draw, or the winner of each round-robin pool.
+    public IReadOnlyList<string> Winners { get; init; } = Array.Empty<string>();
+
+    public DateTimeOffset? StartedAt { get; init; }
+    public DateTimeOffset? FinishedAt { get; init; }
+}
+
+// Round-robin table row: a win scores one point and a draw half a point.
+public sealed record TournamentStanding(string Player, int Pool, int Wins, int Draws, int Losses)
+{
+    public int Played => Wins + Draws + Losses;
+
+    public decimal Points => Wins + Draws * 0.5m;
+}
@@ -2,9 +2,47 @@ var builder = WebApplication.CreateBuilder(args);
 
 // Add services to the container.
 builder.Services.AddControllersWithViews();
+builder.Services.AddSingleton(TimeProvider.System);
 builder.Services.AddSingleton<TicTacToeGame.Services.IOnlinePlayers, TicTacToeGame.Services.OnlinePlayers>();
+builder.Services.AddSingleton<TicTacToeGame.Services.IRatings, TicTacToeGame.Services.Ratings>();
+
+// Games survive restarts when a database is configured; otherwise they only live in memory.
+var gamesConnectionString = builder.Configuration.GetConnectionString("Games");
+if (!string.IsNullOrWhiteSpace(gamesConnectionString))
+{
+    // SQLite resolves a relative path against the working directory; the database belongs
+    // under the content root wherever the app is started from. SQLite won't create the folder.
+    var database = new Microsoft.Data.Sqlite.SqliteConnectionStringBuilder(gamesConnectionString);
+    if (database.DataSource is not ("" or ":memory:"))
+    {
+        database.DataSource = Path.GetFullPath(database.DataSource, builder.Environment.ContentRootPath);
+        Directory.CreateDirectory(Path.GetDirectoryName(database.DataSource)!);
+        gamesConnectionString = database.ConnectionString;
+    }
+}
+
+if (string.IsNullOrWhiteSpace(gamesConnectionString))
+    builder.Services.AddSingleton<TicTacToeGame.Services.IGameStore, TicTacToeGame.Services.InMemoryGameStore>();
+else
+    builder.Services.AddSingleton<TicTacToeGame.Services.IGameStore>(services => new TicTacToeGame.Services.SqliteGameStore(
+        gamesConnectionString,
+        services.GetRequiredService<ILogger<TicTacToeGame.Services.SqliteGameStore>>()));
+
 builder.Services.AddSingleton<TicTacToeGame.Services.IGames, TicTacToeGame.Services.Games>();
-builder.Services.AddSignalR();
+builder.Services.AddSingleton<TicTacToeGame.Services.IPlayerStats, TicTacToeGame.Services.PlayerStats>();
+builder.Services.AddSingleton<TicTacToeGame.Services.IComputerPlayer, TicTacToeGame.Services.ComputerPlayer>();
+builder.Services.AddSingleton<TicTacToeGame.Services.ISpectators, TicTacToeGame.Services.Spectators>();
+builder.Services.AddSingleton<TicTacToeGame.Services.IChatRooms, TicTacToeGame.Services.ChatRooms>();
+builder.Services.AddSingleton<TicTacToeGame.Services.IChallenges, TicTacToeGame.Services.Challenges>();
+builder.Services.AddSingleton<TicTacToeGame.Services.IMatchmaking, TicTacToeGame.Services.Matchmaking>();
+builder.Services.AddSingleton<TicTacToeGame.Services.ITournaments, TicTacToeGame.Services.Tournaments>();
+builder.Services.AddSingleton<TicTacToeGame.Hubs.IGameBroadcaster, TicTacToeGame.Hubs.GameBroadcaster>();
+builder.Services.AddHostedService<TicTacToeGame.Services.TurnTimerService>();
+builder.Services.AddSingleton<TicTacToeGame.Services.ComputerTurnService>();
+builder.Services.AddSingleton<TicTacToeGame.Services.IComputerTurns>(services => services.GetRequiredService<TicTacToeGame.Services.ComputerTurnService>());
+builder.Services.AddHostedService(services => services.GetRequiredService<TicTacToeGame.Services.ComputerTurnService>());
+builder.Services.AddSignalR()
+    .AddJsonProtocol(options => options.PayloadSerializerOptions.Converters.Add(new System.Text.Json.Serialization.JsonStringEnumConverter()));
 builder.Services.AddDistributedMemoryCache();
 builder.Services.AddSession(options =>
 {
@@ -0,0 +1,141 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Win / draw detection shared by Games.MakeMove and the computer player's search.
+// Boards are boardSize cells wide and stored row by row, so the row count is board.Length / boardSize
+// (square unless the game chose otherwise); a line is winLength marks in a row, column or diagonal.
+public static class BoardRules
+{
+    public const int DefaultBoardSize = 3;
+    public const int MinBoardSize = 3;
+    public const int MaxBoardSize = 15;
+    public const int MinWinLength = 3;
+
+    private static readonly (int Row, int Col)[] Directions = [(0, 1), (1, 0), (1, 1), (1, -1)];
+
+    public static Result ValidateDimensions(int boardSize, int winLength, int? rows = null)
+    {
+        if (boardSize < MinBoardSize || boardSize > MaxBoardSize)
+            return $"Board size must be between {MinBoardSize} and {MaxBoardSize}.";
+
+        if (rows is < MinBoardSize or > MaxBoardSize)
+            return $"Board rows must be between {MinBoardSize} and {MaxBoardSize}.";
+
+        if (winLength < MinWinLength || winLength > Math.Max(boardSize, rows ?? boardSize))
+            return $"Win length must be between {MinWinLength} and the board size.";
+
+        return Result.Success();
+    }
+
+    // Only lines through the last move can be new, so this is all MakeMove needs to check.
+    public static bool IsWinningMove(Cell[] board, int boardSize, int winLength, int cellIndex)
+    {
+        var mark = board[cellIndex];
+        if (mark == Cell.Empty)
+            return false;
+
+        var row = cellIndex / boardSize;
+        var col = cellIndex % boardSize;
+
+        foreach (var (dRow, dCol) in Directions)
+        {
+            var count = 1
+                + CountInDirection(board, boardSize, row, col, dRow, dCol, mark)
+                + CountInDirection(board, boardSize, row, col, -dRow, -dCol, mark);
+
+            if (count >= winLength)
+                return true;
+        }
+
+        return false;
+    }
+
+    public static bool HasLine(Cell[] board, int boardSize, int winLength, Cell mark)
+    {
+        for (var i = 0; i < board.Length; i++)
+        {
+            if (board[i] == mark && IsWinningMove(board, boardSize, winLength, i))
+                return true;
+        }
+
+        return false;
+    }
+
+    public static bool IsFull(Cell[] board) => board.All(c => c != Cell.Empty);
+
+    public static IEnumerable<int> EmptyCells(Cell[] board)
+    {
+        for (var i = 0; i < board.Length; i++)
+        {
+            if (board[i] == Cell.Empty)
+                yield return i;
+        }
+    }
+
+    // Gravity games: where a mark dropped into the column comes to rest, or null when it is full.
+    public static int? LandingCell(Cell[] board, int boardSize, int column)
+    {
+        for (var cell = board.Length - boardSize + column; cell >= 0; cell -= boardSize)
+        {
+            if (board[cell] == Cell.Empty)
+                return cell;
+        }
+
+        return null;
+    }
+
+    // The cells a move can go in: every empty cell, or with gravity the landing cell of each open column.
+    public static IEnumerable<int> PlayableCells(Cell[] board, int boardSize, bool gravity)
+    {
+        if (!gravity)
+            return EmptyCells(board);
+
+        return Enumerable.Range(0, boardSize)
+            .Select(column => LandingCell(board, boardSize, column))
+            .OfType<int>();
+    }
+
+    // Every run of winLength cells that could form a line, as cell indexes.
+    public static IEnumerable<int[]> Windows(int boardSize, int winLength, int? rows = null)
+    {
+        var rowCount = rows ?? boardSize;
+
+        for (var row = 0; row < rowCount; row++)
+        {
+            for (var col = 0; col < boardSize; col++)
+            {
+                foreach (var (dRow, dCol) in Directions)
+                {
+                    var endRow = row + dRow * (winLength - 1);
+                    var endCol = col + dCol * (winLength - 1);
+                    if (endRow < 0 || endRow >= rowCount || endCol < 0 || endCol >= boardSize)
+                        continue;
+
+                    var window = new int[winLength];
+                    for (var k = 0; k < winLength; k++)
+                        window[k] = (row + dRow * k) * boardSize + col + dCol * k;
+
+                    yield return window;
+                }
+            }
+        }
+    }
+
+    private static int CountInDirection(Cell[] board, int boardSize, int row, int col, int dRow, int dCol, Cell mark)
+    {
+        var count = 0;
+        var rows = board.Length / boardSize;
+        row += dRow;
+        col += dCol;
+
+        while (row >= 0 && row < rows && col >= 0 && col < boardSize && board[row * boardSize + col] == mark)
+        {
+            count++;
+            row += dRow;
+            col += dCol;
+        }
+
+        return count;
+    }
+}
@@ -0,0 +1,89 @@
+using System.Collections.Concurrent;
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Pending direct challenges. Each is answered at most once: Take removes it for the target.
+public sealed class Challenges : IChallenges
+{
+    private static readonly TimeSpan ChallengeLifetime = TimeSpan.FromSeconds(60);
+
+    private readonly ConcurrentDictionary<string, Challenge> _challengesById = new(StringComparer.Ordinal);
+    private readonly TimeProvider _timeProvider;
+
+    public Challenges(TimeProvider timeProvider)
+    {
+        _timeProvider = timeProvider;
+    }
+
+    public Result<Challenge> Create(OnlinePlayer challenger, OnlinePlayer target, CreateGameOptions? options)
+    {
+        if (string.Equals(challenger.DisplayName, target.DisplayName, StringComparison.OrdinalIgnoreCase))
+            return "You cannot challenge yourself.";
+
+        if (options?.ComputerDifficulty is not null)
+            return "Challenges are between two players.";
+
+        var now = _timeProvider.GetUtcNow();
+        RemoveExpired(now);
+
+        // A newer challenge to the same player replaces the pending one.
+        foreach (var existing in _challengesById.Values.Where(c =>
+                     c.ChallengerConnectionId == challenger.ConnectionId &&
+                     c.TargetConnectionId == target.ConnectionId))
+        {
+            _challengesById.TryRemove(existing.ChallengeId, out _);
+        }
+
+        var challenge = new Challenge(
+            ChallengeId: Guid.NewGuid().ToString("N"),
+            ChallengerConnectionId: challenger.ConnectionId,
+            Challenger: challenger.DisplayName,
+            TargetConnectionId: target.ConnectionId,
+            Target: target.DisplayName,
+            Options: options,
+            ExpiresAt: now + ChallengeLifetime);
+
+        _challengesById[challenge.ChallengeId] = challenge;
+        return challenge;
+    }
+
+    public Result<Challenge> Take(string challengeId, string targetConnectionId)
+    {
+        if (string.IsNullOrWhiteSpace(challengeId))
+            return "Challenge id is required.";
+
+        if (!_challengesById.TryGetValue(challengeId, out var challenge) ||
+            challenge.TargetConnectionId != targetConnectionId)
+            return "Challenge not found.";
+
+        if (!_challengesById.TryRemove(challengeId, out challenge))
+            return "Challenge not found.";
+
+        if (_timeProvider.GetUtcNow() > challenge.ExpiresAt)
+            return "Challenge has expired.";
+
+        return challenge;
+    }
+
+    // Drops every challenge sent or received by the connection; the other side should be told.
+    public IReadOnlyCollection<Challenge> RemoveFor(string connectionId)
+    {
+        var removed = new List<Challenge>();
+
+        foreach (var challenge in _challengesById.Values.Where(c =>
+                     c.ChallengerConnectionId == connectionId || c.TargetConnectionId == connectionId))
+        {
+            if (_challengesById.TryRemove(challenge.ChallengeId, out _))
+                removed.Add(challenge);
+        }
+
+        return removed;
+    }
+
+    private void RemoveExpired(DateTimeOffset now)
+    {
+        foreach (var challenge in _challengesById.Values.Where(c => now > c.ExpiresAt))
+            _challengesById.TryRemove(challenge.ChallengeId, out _);
+    }
+}
@@ -0,0 +1,126 @@
+using System.Collections.Concurrent;
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// In-memory chat channels ("game:{id}", ...) keeping the last few messages of each for late joiners.
+// A game's history goes once the game is over; rate-limit entries go once their window has passed.
+public sealed class ChatRooms : IChatRooms
+{
+    public const int MaxMessageLength = 300;
+    public const int HistorySize = 50;
+
+    // At most RateLimitCount messages per sender within RateLimitWindow.
+    private const int RateLimitCount = 5;
+    private static readonly TimeSpan RateLimitWindow = TimeSpan.FromSeconds(10);
+
+    private readonly ConcurrentDictionary<string, Queue<ChatMessage>> _historyByChannel = new(StringComparer.Ordinal);
+    private readonly ConcurrentDictionary<string, Queue<DateTimeOffset>> _sentAtBySender = new(StringComparer.Ordinal);
+    private readonly TimeProvider _timeProvider;
+    private readonly object _lock = new();
+    private DateTimeOffset _sendersPrunedAt;
+
+    public ChatRooms(TimeProvider timeProvider)
+    {
+        _timeProvider = timeProvider;
+    }
+
+    public Result<ChatMessage> Post(string channel, string sender, string text, bool keepHistory = true)
+    {
+        if (string.IsNullOrWhiteSpace(channel))
+            return "Channel is required.";
+
+        if (string.IsNullOrWhiteSpace(sender))
+            return "Sender is required.";
+
+        text = (text ?? string.Empty).Trim();
+        if (text.Length == 0)
+            return "Message is empty.";
+        if (text.Length > MaxMessageLength)
+            return $"Message is too long (max {MaxMessageLength} characters).";
+
+        var now = _timeProvider.GetUtcNow();
+
+        PruneIdleSenders(now);
+
+        while (true)
+        {
+            var sentAt = _sentAtBySender.GetOrAdd(sender, static _ => new Queue<DateTimeOffset>());
+            lock (sentAt)
+            {
+                // Pruned between the lookup and the lock: start over with a fresh queue.
+                if (!_sentAtBySender.TryGetValue(sender, out var current) || current != sentAt)
+                    continue;
+
+                while (sentAt.Count > 0 && now - sentAt.Peek() > RateLimitWindow)
+                    sentAt.Dequeue();
+
+                if (sentAt.Count >= RateLimitCount)
+                    return "You are sending messages too quickly.";
+
+                sentAt.Enqueue(now);
+                break;
+            }
+        }
+
+        var message = new ChatMessage(
+            MessageId: Guid.NewGuid().ToString("N"),
+            Channel: channel,
+            Sender: sender,
+            Text: text,
+            SentAt: now);
+
+        if (!keepHistory)
+            return message;
+
+        var history = _historyByChannel.GetOrAdd(channel, static _ => new Queue<ChatMessage>());
+        lock (history)
+        {
+            history.Enqueue(message);
+            while (history.Count > HistorySize)
+                history.Dequeue();
+        }
+
+        return message;
+    }
+
+    public IReadOnlyList<ChatMessage> GetRecent(string channel)
+    {
+        if (!_historyByChannel.TryGetValue(channel, out var history))
+            return Array.Empty<ChatMessage>();
+
+        lock (history)
+        {
+            return history.ToArray();
+        }
+    }
+
+    public void Remove(string channel)
+    {
+        if (!string.IsNullOrWhiteSpace(channel))
+            _historyByChannel.TryRemove(channel, out _);
+    }
+
+    // At most once per window: drops senders whose messages have all left the window.
+    private void PruneIdleSenders(DateTimeOffset now)
+    {
+        lock (_lock)
+        {
+            if (now - _sendersPrunedAt < RateLimitWindow)
+                return;
+            _sendersPrunedAt = now;
+        }
+
+        foreach (var (sender, sentAt) in _sentAtBySender)
+        {
+            lock (sentAt)
+            {
+                while (sentAt.Count > 0 && now - sentAt.Peek() > RateLimitWindow)
+                    sentAt.Dequeue();
+
+                if (sentAt.Count == 0)
+                    _sentAtBySender.TryRemove(new KeyValuePair<string, Queue<DateTimeOffset>>(sender, sentAt));
+            }
+        }
+    }
+}
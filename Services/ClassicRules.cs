@@ -0,0 +1,29 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// The host plays X and the guest O; the first line of winLength wins and a full board is a draw.
+public sealed class ClassicRules : IGameRules
+{
+    public GameVariant Variant => GameVariant.Classic;
+
+    public (int BoardSize, int WinLength)? FixedDimensions => null;
+
+    public int CellCountFor(int boardSize, int rows) => boardSize * rows;
+
+    public bool PlayersChooseMark => false;
+
+    public Cell MarkFor(bool isHost) => isHost ? Cell.X : Cell.O;
+
+    public string Describe(int boardSize, int rows, int winLength) => $"Board: {boardSize}×{rows}, {winLength} in a row";
+
+    public Result CheckMove(GameState state, int cellIndex) => Result.Success();
+
+    public MoveOutcome Judge(Cell[] board, int boardSize, int winLength, int cellIndex)
+    {
+        if (BoardRules.IsWinningMove(board, boardSize, winLength, cellIndex))
+            return MoveOutcome.MoverWins;
+
+        return BoardRules.IsFull(board) ? MoveOutcome.Draw : MoveOutcome.Continue;
+    }
+}
@@ -0,0 +1,492 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+public sealed class ComputerPlayer : IComputerPlayer
+{
+    private const int WinScore = 1_000_000_000;
+
+    // Boards with this many empty cells or fewer are searched to the end (always true for 3x3).
+    private const int FullSearchLimit = 9;
+
+    // Gravity leaves one move per column, so the search can look much further ahead.
+    private const int GravitySearchDepth = 6;
+
+    public Result<ComputerMove> ChooseMove(Game game)
+    {
+        if (game.ComputerOpponent is not { } difficulty)
+            return "Game has no computer opponent.";
+
+        if (game.State.Status != GameStatus.InProgress)
+            return "Game is not in progress.";
+
+        var board = game.State.Board;
+        var empty = BoardRules.EmptyCells(board).ToArray();
+        if (empty.Length == 0)
+            return "No moves left.";
+
+        var rules = GameRules.For(game.State.Variant);
+        var isHost = game.State.NextTurnPlayer == game.HostPlayer;
+        var mark = rules.MarkFor(isHost);
+        var playable = BoardRules.PlayableCells(board, game.State.BoardSize, game.State.Gravity).ToArray();
+
+        switch (game.State.Variant)
+        {
+            case GameVariant.Ultimate:
+                var legal = UltimateRules.LegalMoves(board, game.State.Moves).ToArray();
+                return new ComputerMove(
+                    difficulty == ComputerDifficulty.Easy
+                        ? legal[Random.Shared.Next(legal.Length)]
+                        : ChooseUltimateMove((Cell[])board.Clone(), mark, legal),
+                    mark);
+
+            case GameVariant.Classic:
+                var position = new Position(
+                    (Cell[])board.Clone(),
+                    game.State.BoardSize,
+                    game.State.WinLength,
+                    BoardRules.Windows(game.State.BoardSize, game.State.WinLength, game.State.Rows).ToArray())
+                {
+                    Gravity = game.State.Gravity
+                };
+
+                return new ComputerMove(
+                    difficulty switch
+                    {
+                        ComputerDifficulty.Easy => playable[Random.Shared.Next(playable.Length)],
+                        ComputerDifficulty.Medium => ChooseHeuristicMove(position, mark),
+                        _ => ChooseSearchMove(position, mark, empty.Length)
+                    },
+                    mark);
+
+            case GameVariant.Qubic:
+                return new ComputerMove(
+                    difficulty == ComputerDifficulty.Easy
+                        ? empty[Random.Shared.Next(empty.Length)]
+                        : ChooseQubicMove(board, mark, empty, lookForForks: difficulty == ComputerDifficulty.Hard),
+                    mark);
+
+            default:
+                var rulesPosition = new RulesPosition(rules, (Cell[])board.Clone(), game.State.BoardSize, game.State.WinLength)
+                {
+                    Gravity = game.State.Gravity
+                };
+                var moves = rulesPosition.Moves(isHost);
+
+                return difficulty switch
+                {
+                    ComputerDifficulty.Easy => moves[Random.Shared.Next(moves.Length)],
+                    ComputerDifficulty.Hard when empty.Length <= FullSearchLimit => ChooseSolvedMove(rulesPosition, isHost),
+                    _ => ChooseSafeMove(rulesPosition, isHost)
+                };
+        }
+    }
+
+    // Qubic is too big to search: win, block, then (Hard only) make or stop a double threat, and
+    // otherwise take the cell whose lines are most open, counting lines the opponent could use too.
+    private static int ChooseQubicMove(Cell[] board, Cell mark, int[] empty, bool lookForForks)
+    {
+        var opponent = Opponent(mark);
+
+        foreach (var needed in lookForForks ? new[] { 3, 2 } : new[] { 3 })
+        {
+            // Three in a line wins (or must be blocked); two lines of two make a double threat.
+            var threats = needed == 3 ? 1 : 2;
+
+            foreach (var side in new[] { mark, opponent })
+            {
+                foreach (var cell in empty)
+                {
+                    if (CountQubicLines(board, cell, side, needed) >= threats)
+                        return cell;
+                }
+            }
+        }
+
+        var bestScore = int.MinValue;
+        var bestCell = empty[0];
+
+        foreach (var cell in empty)
+        {
+            var score = 0;
+            foreach (var line in QubicRules.LinesThrough[cell])
+            {
+                var mine = line.Count(c => board[c] == mark);
+                var theirs = line.Count(c => board[c] == opponent);
+
+                if (theirs == 0) score += Pow10(mine + 1);
+                else if (mine == 0) score += Pow10(theirs);
+            }
+
+            if (score > bestScore)
+            {
+                bestScore = score;
+                bestCell = cell;
+            }
+        }
+
+        return bestCell;
+    }
+
+    // Lines through the empty cell that hold `marks` of the side's marks and none of the other's.
+    private static int CountQubicLines(Cell[] board, int cell, Cell side, int marks)
+        => QubicRules.LinesThrough[cell].Count(line =>
+            line.Count(c => board[c] == side) == marks && line.All(c => board[c] == side || board[c] == Cell.Empty));
+
+    // Misère, Wild and Notakto: win at once if possible, never complete a losing line, and avoid
+    // leaving the opponent a winning reply.
+    private static ComputerMove ChooseSafeMove(RulesPosition position, bool isHost)
+    {
+        var moves = position.Moves(isHost);
+        var notLosing = new List<ComputerMove>();
+        var safe = new List<ComputerMove>();
+
+        foreach (var move in moves)
+        {
+            var outcome = position.Play(move);
+            var risky = outcome == MoveOutcome.Continue && position.HasWinningMove(!isHost);
+            position.Undo(move);
+
+            if (outcome == MoveOutcome.MoverWins)
+                return move;
+
+            if (outcome == MoveOutcome.MoverLoses)
+                continue;
+
+            notLosing.Add(move);
+            if (!risky)
+                safe.Add(move);
+        }
+
+        var choices = safe.Count > 0 ? safe : notLosing.Count > 0 ? notLosing : moves.ToList();
+        return choices[Random.Shared.Next(choices.Count)];
+    }
+
+    // Small enough to play out every continuation; the first move with the best result wins.
+    private static ComputerMove ChooseSolvedMove(RulesPosition position, bool isHost)
+    {
+        var bestScore = int.MinValue;
+        ComputerMove? best = null;
+
+        foreach (var move in position.Moves(isHost))
+        {
+            var score = ScoreMove(position, move, isHost);
+            if (score > bestScore)
+            {
+                bestScore = score;
+                best = move;
+            }
+        }
+
+        return best!;
+    }
+
+    // 1 when the side to move can force a win, 0 for a draw, -1 for a loss.
+    private static int Solve(RulesPosition position, bool isHost)
+    {
+        var key = position.Key(isHost);
+        if (position.Solved.TryGetValue(key, out var known))
+            return known;
+
+        var best = -1;
+        foreach (var move in position.Moves(isHost))
+        {
+            best = Math.Max(best, ScoreMove(position, move, isHost));
+            if (best == 1)
+                break;
+        }
+
+        position.Solved[key] = best;
+        return best;
+    }
+
+    private static int ScoreMove(RulesPosition position, ComputerMove move, bool isHost)
+    {
+        var score = position.Play(move) switch
+        {
+            MoveOutcome.MoverWins => 1,
+            MoveOutcome.MoverLoses => -1,
+            MoveOutcome.Draw => 0,
+            _ => -Solve(position, !isHost)
+        };
+        position.Undo(move);
+
+        return score;
+    }
+
+    // Win if possible, otherwise block, otherwise take the candidate closest to the centre.
+    private static int ChooseHeuristicMove(Position position, Cell mark)
+    {
+        var candidates = position.Candidates();
+
+        if (FindCompletingCell(position, mark, candidates) is { } win)
+            return win;
+
+        if (FindCompletingCell(position, Opponent(mark), candidates) is { } block)
+            return block;
+
+        return candidates[0];
+    }
+
+    // Win the game, else take a sub-board, else stop the opponent taking this one; otherwise avoid
+    // sending the opponent to a sub-board they can take at once or giving them a free choice.
+    private static int ChooseUltimateMove(Cell[] board, Cell mark, int[] legal)
+    {
+        int? claim = null;
+        int? block = null;
+
+        foreach (var cell in legal)
+        {
+            var subBoard = UltimateRules.SubBoardOf(cell);
+
+            board[cell] = mark;
+            var wins = UltimateRules.IsWinningMove(board, cell);
+            claim ??= UltimateRules.SubBoardWinner(board, subBoard) == mark ? cell : null;
+
+            board[cell] = Opponent(mark);
+            block ??= UltimateRules.SubBoardWinner(board, subBoard) == Opponent(mark) ? cell : null;
+            board[cell] = Cell.Empty;
+
+            if (wins)
+                return cell;
+        }
+
+        if ((claim ?? block) is { } forced)
+            return forced;
+
+        var safe = legal.Where(cell => !GivesOpponentChance(board, mark, cell)).ToArray();
+        var choices = safe.Length > 0 ? safe : legal;
+        return choices[Random.Shared.Next(choices.Length)];
+    }
+
+    private static bool GivesOpponentChance(Cell[] board, Cell mark, int cell)
+    {
+        var target = UltimateRules.PositionInSubBoard(cell);
+
+        board[cell] = mark;
+        var risky = UltimateRules.IsClosed(board, target) || CanTakeInOne(board, target, Opponent(mark));
+        board[cell] = Cell.Empty;
+
+        return risky;
+    }
+
+    private static bool CanTakeInOne(Cell[] board, int subBoard, Cell mark)
+    {
+        for (var position = 0; position < 9; position++)
+        {
+            var cell = UltimateRules.CellIndex(subBoard, position);
+            if (board[cell] != Cell.Empty)
+                continue;
+
+            board[cell] = mark;
+            var taken = UltimateRules.SubBoardWinner(board, subBoard) == mark;
+            board[cell] = Cell.Empty;
+
+            if (taken)
+                return true;
+        }
+
+        return false;
+    }
+
+    private static int? FindCompletingCell(Position position, Cell mark, int[] candidates)
+    {
+        foreach (var cell in candidates)
+        {
+            position.Board[cell] = mark;
+            var wins = BoardRules.IsWinningMove(position.Board, position.Size, position.WinLength, cell);
+            position.Board[cell] = Cell.Empty;
+
+            if (wins)
+                return cell;
+        }
+
+        return null;
+    }
+
+    private static int ChooseSearchMove(Position position, Cell mark, int emptyCount)
+    {
+        var candidates = position.Candidates();
+
+        // Forced moves first: they are cheap and the depth-limited search can miss nothing here.
+        if (FindCompletingCell(position, mark, candidates) is { } win)
+            return win;
+
+        if (FindCompletingCell(position, Opponent(mark), candidates) is { } block)
+            return block;
+
+        var depth = emptyCount <= FullSearchLimit
+            ? emptyCount
+            : position.Gravity ? GravitySearchDepth
+            : position.Board.Length <= 25 ? 3 : 2;
+
+        var bestScore = int.MinValue;
+        var bestCell = candidates[0];
+
+        foreach (var cell in candidates)
+        {
+            position.Board[cell] = mark;
+            var score = -Negamax(position, Opponent(mark), cell, depth - 1, ply: 1, alpha: -int.MaxValue, beta: int.MaxValue);
+            position.Board[cell] = Cell.Empty;
+
+            if (score > bestScore)
+            {
+                bestScore = score;
+                bestCell = cell;
+            }
+        }
+
+        return bestCell;
+    }
+
+    // Scores the position from the point of view of the side to move; quicker wins score higher.
+    private static int Negamax(Position position, Cell toMove, int lastMove, int depth, int ply, int alpha, int beta)
+    {
+        if (BoardRules.IsWinningMove(position.Board, position.Size, position.WinLength, lastMove))
+            return ply - WinScore;
+
+        if (BoardRules.IsFull(position.Board))
+            return 0;
+
+        if (depth == 0)
+            return position.Evaluate(toMove);
+
+        var best = -int.MaxValue;
+        foreach (var cell in position.Candidates())
+        {
+            position.Board[cell] = toMove;
+            var score = -Negamax(position, Opponent(toMove), cell, depth - 1, ply + 1, -beta, -alpha);
+            position.Board[cell] = Cell.Empty;
+
+            if (score > best)
+                best = score;
+            if (best > alpha)
+                alpha = best;
+            if (alpha >= beta)
+                break;
+        }
+
+        return best;
+    }
+
+    private static Cell Opponent(Cell mark) => mark == Cell.X ? Cell.O : Cell.X;
+
+    private static int Pow10(int n)
+    {
+        var value = 1;
+        for (var i = 0; i < Math.Min(n, 5); i++) value *= 10;
+        return value;
+    }
+
+    // A board judged by a variant's rules, with every position solved so far.
+    private sealed record RulesPosition(IGameRules Rules, Cell[] Board, int Size, int WinLength)
+    {
+        public bool Gravity { get; init; }
+
+        public Dictionary<string, int> Solved { get; } = new(StringComparer.Ordinal);
+
+        public ComputerMove[] Moves(bool isHost)
+        {
+            Cell[] marks = Rules.PlayersChooseMark ? [Cell.X, Cell.O] : [Rules.MarkFor(isHost)];
+
+            return BoardRules.PlayableCells(Board, Size, Gravity)
+                .SelectMany(cell => marks.Select(mark => new ComputerMove(cell, mark)))
+                .ToArray();
+        }
+
+        public MoveOutcome Play(ComputerMove move)
+        {
+            Board[move.CellIndex] = move.Mark;
+            return Rules.Judge(Board, Size, WinLength, move.CellIndex);
+        }
+
+        public void Undo(ComputerMove move) => Board[move.CellIndex] = Cell.Empty;
+
+        public bool HasWinningMove(bool isHost)
+        {
+            foreach (var move in Moves(isHost))
+            {
+                var wins = Play(move) == MoveOutcome.MoverWins;
+                Undo(move);
+
+                if (wins)
+                    return true;
+            }
+
+            return false;
+        }
+
+        // Misère marks depend on whose turn it is, so the side to move is part of the position.
+        public string Key(bool isHost)
+            => string.Concat(Board.Select(c => (char)('0' + (int)c))) + (isHost ? 'h' : 'g');
+    }
+
+    // Size is the board's width; Rows is its height.
+    private sealed record Position(Cell[] Board, int Size, int WinLength, int[][] Windows)
+    {
+        public bool Gravity { get; init; }
+
+        public int Rows => Board.Length / Size;
+
+        // Empty cells next to an existing mark (or every empty cell on a small or empty board),
+        // ordered centre-first so ties and alpha-beta cut-offs favour strong squares. With gravity
+        // only the landing cell of each column can be played, nearest the middle column first.
+        public int[] Candidates()
+        {
+            var centre = (Size - 1) / 2.0;
+
+            if (Gravity)
+            {
+                return BoardRules.PlayableCells(Board, Size, gravity: true)
+                    .OrderBy(cell => Math.Abs(cell % Size - centre))
+                    .ToArray();
+            }
+
+            var nearOnly = Board.Length > 9 && Board.Any(c => c != Cell.Empty);
+            var rowCentre = (Rows - 1) / 2.0;
+
+            return BoardRules.EmptyCells(Board)
+                .Where(cell => !nearOnly || HasNeighbour(cell))
+                .OrderBy(cell => Math.Abs(cell / Size - rowCentre) + Math.Abs(cell % Size - centre))
+                .ToArray();
+        }
+
+        // Open windows are worth 10^marks (capped so long lines cannot overflow); windows
+        // blocked by both sides are worth nothing.
+        public int Evaluate(Cell toMove)
+        {
+            var score = 0;
+            foreach (var window in Windows)
+            {
+                int mine = 0, theirs = 0;
+                foreach (var cell in window)
+                {
+                    if (Board[cell] == toMove) mine++;
+                    else if (Board[cell] != Cell.Empty) theirs++;
+                }
+
+                if (theirs == 0 && mine > 0) score += Pow10(mine);
+                else if (mine == 0 && theirs > 0) score -= Pow10(theirs);
+            }
+
+            return score;
+        }
+
+        private bool HasNeighbour(int cell)
+        {
+            var row = cell / Size;
+            var col = cell % Size;
+
+            for (var r = Math.Max(0, row - 1); r <= Math.Min(Rows - 1, row + 1); r++)
+            {
+                for (var c = Math.Max(0, col - 1); c <= Math.Min(Size - 1, col + 1); c++)
+                {
+                    if (Board[r * Size + c] != Cell.Empty)
+                        return true;
+                }
+            }
+
+            return false;
+        }
+    }
+}
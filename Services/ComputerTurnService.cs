@@ -0,0 +1,75 @@
+using System.Threading.Channels;
+using TicTacToeGame.Hubs;
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Plays the computer's moves in the background, one game at a time, so a deep search never holds
+// up a hub call. On startup it picks up every stored game that was left on the computer's turn.
+public sealed class ComputerTurnService : BackgroundService, IComputerTurns
+{
+    private readonly IGames _games;
+    private readonly IComputerPlayer _computerPlayer;
+    private readonly IGameBroadcaster _broadcaster;
+    private readonly ILogger<ComputerTurnService> _logger;
+    private readonly Channel<string> _pending = Channel.CreateUnbounded<string>(new UnboundedChannelOptions { SingleReader = true });
+
+    public ComputerTurnService(IGames games, IComputerPlayer computerPlayer, IGameBroadcaster broadcaster, ILogger<ComputerTurnService> logger)
+    {
+        _games = games;
+        _computerPlayer = computerPlayer;
+        _broadcaster = broadcaster;
+        _logger = logger;
+    }
+
+    // Safe to call for any game: games that aren't waiting on the computer are skipped.
+    public void Schedule(string gameId) => _pending.Writer.TryWrite(gameId);
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        foreach (var game in _games.GetAllNonFinished().Where(IsComputerTurn))
+            Schedule(game.GameId);
+
+        await foreach (var gameId in _pending.Reader.ReadAllAsync(stoppingToken))
+        {
+            try
+            {
+                await PlayAsync(gameId);
+            }
+            catch (Exception ex)
+            {
+                // Keep going: the other games still wait for their replies.
+                _logger.LogError(ex, "Computer move failed in game {GameId}.", gameId);
+            }
+        }
+    }
+
+    private async Task PlayAsync(string gameId)
+    {
+        var game = _games.GetGame(gameId);
+        if (game.IsFailure || !IsComputerTurn(game.Value!))
+            return;
+
+        var move = _computerPlayer.ChooseMove(game.Value!);
+        if (move.IsFailure)
+        {
+            _logger.LogWarning("Computer found no move in game {GameId}: {Error}", gameId, move.Error);
+            return;
+        }
+
+        var result = _games.MakeMove(gameId, game.Value!.ComputerPlayerName!, move.Value!.CellIndex, move.Value.Mark);
+        if (result.IsFailure)
+            return;
+
+        await _broadcaster.GameUpdatedAsync(gameId);
+
+        // Finished games leave the lobby and their players become idle again.
+        if (result.Value!.State.Status == GameStatus.Finished)
+            await _broadcaster.LobbyUpdatedAsync();
+    }
+
+    private static bool IsComputerTurn(Game game)
+        => game.ComputerPlayerName is { } computerName &&
+           game.State.Status == GameStatus.InProgress &&
+           game.State.NextTurnPlayer == computerName;
+}
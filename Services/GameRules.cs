@@ -0,0 +1,42 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Looks up the rule object for a variant; every variant has exactly one.
+public static class GameRules
+{
+    private static readonly Dictionary<GameVariant, IGameRules> RulesByVariant = new IGameRules[]
+    {
+        new ClassicRules(),
+        new UltimateRules(),
+        new MisereRules(),
+        new WildRules(),
+        new NotaktoRules(),
+        new QubicRules()
+    }.ToDictionary(r => r.Variant);
+
+    public static IGameRules For(GameVariant variant) => RulesByVariant[variant];
+
+    public static bool IsKnown(GameVariant variant) => RulesByVariant.ContainsKey(variant);
+
+    // The variant's fixed board, or the requested one with the usual defaults filled in.
+    // Boards are square unless rows are given.
+    public static (int BoardSize, int Rows, int WinLength) Dimensions(GameVariant variant, int? boardSize, int? rows, int? winLength)
+    {
+        if (For(variant).FixedDimensions is { } fixedDimensions)
+            return (fixedDimensions.BoardSize, fixedDimensions.BoardSize, fixedDimensions.WinLength);
+
+        var size = boardSize ?? BoardRules.DefaultBoardSize;
+        return (size, rows ?? size, winLength ?? Math.Min(size, 5));
+    }
+
+    // Ultimate and Qubic have boards of their own that marks cannot fall through.
+    public static bool AllowsGravity(GameVariant variant) => For(variant).FixedDimensions is null;
+
+    // The rules line shown with a game, noting when marks drop.
+    public static string Describe(GameVariant variant, int boardSize, int rows, int winLength, bool gravity)
+        => For(variant).Describe(boardSize, rows, winLength) + (gravity ? ", marks drop to the bottom" : "");
+
+    public static string Describe(GameState state)
+        => Describe(state.Variant, state.BoardSize, state.Rows, state.WinLength, state.Gravity);
+}
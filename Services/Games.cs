@@ -1,4 +1,5 @@
 using System.Collections.Concurrent;
+using System.Security.Cryptography;
 using TicTacToeGame.Models;
 
 namespace TicTacToeGame.Services;
@@ -6,36 +7,407 @@ namespace TicTacToeGame.Services;
 public sealed class Games : IGames
 {
     private readonly ConcurrentDictionary<string, Game> _gamesById = new(StringComparer.Ordinal);
+
+    // Password guesses per game in the current window, so a client can neither brute-force a
+    // password nor keep the CPU busy hashing guesses.
+    private readonly Dictionary<string, (int Count, DateTimeOffset Since)> _passwordAttemptsByGameId = new(StringComparer.Ordinal);
+    private readonly object _passwordAttemptsLock = new();
+    private DateTimeOffset _passwordAttemptsPrunedAt;
     private readonly object _lock = new();
+    private readonly TimeProvider _timeProvider;
+    private readonly IRatings _ratings;
+    private readonly IGameStore _store;
+
+    public const int MinMoveTimeLimitSeconds = 5;
+    public const int MaxMoveTimeLimitSeconds = 600;
+    public const int MinClockSeconds = 10;
+    public const int MaxClockSeconds = 3600;
+    public const int MaxClockIncrementSeconds = 60;
+    public const int InviteCodeLength = 6;
+    public const int MaxPasswordLength = 100;
+
+    private const int PasswordSaltSize = 16;
+    private const int PasswordHashSize = 32;
+    private const int PasswordIterations = 100_000;
+    private const int MaxPasswordAttempts = 5;
+    private static readonly TimeSpan PasswordAttemptWindow = TimeSpan.FromMinutes(1);
+
+    public Games(TimeProvider timeProvider, IRatings ratings, IGameStore store)
+    {
+        _timeProvider = timeProvider;
+        _ratings = ratings;
+        _store = store;
+
+        var now = _timeProvider.GetUtcNow();
+        foreach (var game in _store.LoadAll())
+        {
+            // Tournaments aren't stored, so nothing would move the players on from an unfinished
+            // tournament game: it is called off instead of being left to count for nothing.
+            if (game.TournamentId is not null && game.State.Status != GameStatus.Finished)
+            {
+                var orphaned = game with
+                {
+                    State = game.State with
+                    {
+                        Status = GameStatus.Finished,
+                        NextTurnPlayer = null,
+                        FinishedAt = now,
+                        EndReason = GameEndReason.Cancelled
+                    }
+                };
+
+                _gamesById[game.GameId] = orphaned;
+                _store.Save(orphaned);
+                continue;
+            }
+
+            // Time spent offline isn't charged: the turn in progress restarts now.
+            _gamesById[game.GameId] = game.State.Status == GameStatus.InProgress
+                ? game with { State = game.State with { TurnStartedAt = now } }
+                : game;
+        }
+
+        // Ratings are derived from results, so replaying them in order rebuilds the table.
+        foreach (var game in _gamesById.Values
+                     .Where(g => g.State.FinishedAt is not null)
+                     .OrderBy(g => g.State.FinishedAt))
+        {
+            _ratings.RecordResult(game, game.State.FinishedAt!.Value);
+        }
+    }
 
-    public Result<Game> CreateGame(string hostPlayer, string friendlyName)
+    public Result<Game> CreateGame(string hostPlayer, string friendlyName, CreateGameOptions? options = null)
     {
-        if (string.IsNullOrWhiteSpace(hostPlayer))
-            return "Host player is required.";
+        var created = NewGame(hostPlayer, friendlyName, options);
+        if (created.IsFailure)
+            return created.Error!;
 
-        friendlyName = (friendlyName ?? string.Empty).Trim();
-        if (friendlyName.Length == 0)
-            return "Friendly name is required.";
-        if (friendlyName.Length > 50)
-            friendlyName = friendlyName[..50];
+        var game = created.Value!;
 
-        var gameId = Guid.NewGuid().ToString("N");
+        // Computer games skip the lobby: the computer takes the guest seat straight away.
+        if (game.ComputerPlayerName is { } computerName)
+        {
+            if (computerName == hostPlayer)
+                return "Display name is reserved for the computer player.";
 
-        var game = new Game(
-            GameId: gameId,
-            FriendlyName: friendlyName,
-            HostPlayer: hostPlayer,
-            GuestPlayer: null,
-            State: new GameState(
-                Board: new Cell[9],
-                NextTurnPlayer: hostPlayer,
-                Status: GameStatus.WaitingForOpponent,
-                WinnerPlayer: null));
+            game = game with
+            {
+                GuestPlayer = computerName,
+                State = StartTurns(game.State, hostPlayer, computerName)
+            };
+        }
 
-        _gamesById[gameId] = game;
+        Save(game);
         return game;
     }
 
+    // Creates a game with both seats already taken (an accepted challenge), so nobody else can join first.
+    public Result<Game> CreateMatch(string hostPlayer, string guestPlayer, string friendlyName, CreateGameOptions? options = null, string? tournamentId = null)
+    {
+        if (string.IsNullOrWhiteSpace(guestPlayer))
+            return "Guest player is required.";
+
+        if (string.Equals(hostPlayer, guestPlayer, StringComparison.OrdinalIgnoreCase))
+            return "You cannot play against yourself.";
+
+        if (options?.ComputerDifficulty is not null)
+            return "A match is between two players.";
+
+        var created = NewGame(hostPlayer, friendlyName, options);
+        if (created.IsFailure)
+            return created.Error!;
+
+        var game = created.Value! with
+        {
+            GuestPlayer = guestPlayer,
+            GuestToken = NewSeatToken(),
+            TournamentId = tournamentId,
+            State = StartTurns(created.Value!.State, hostPlayer, guestPlayer)
+        };
+
+        Save(game);
+        return game;
+    }
+
+    public Result<Game> RequestRematch(string gameId, string player)
+    {
+        if (string.IsNullOrWhiteSpace(gameId))
+            return "Game id is required.";
+
+        if (string.IsNullOrWhiteSpace(player))
+            return "Player is required.";
+
+        lock (_lock)
+        {
+            if (!_gamesById.TryGetValue(gameId, out var game))
+                return "Game not found.";
+
+            if (game.HostPlayer != player && game.GuestPlayer != player)
+                return "Only players can ask for a rematch.";
+
+            if (game.State.Status != GameStatus.Finished || game.GuestPlayer is null)
+                return "Game is not finished.";
+
+            if (game.RematchGameId is not null)
+                return game;
+
+            var requestedBy = new List<string>(game.RematchRequestedBy) { player };
+
+            // The computer always accepts.
+            if (game.ComputerPlayerName is { } computerName)
+                requestedBy.Add(computerName);
+
+            requestedBy = requestedBy.Distinct(StringComparer.Ordinal).ToList();
+
+            var updated = game with { RematchRequestedBy = requestedBy };
+
+            if (requestedBy.Contains(game.HostPlayer) && requestedBy.Contains(game.GuestPlayer))
+            {
+                // Swap seats so the other player gets X and the first move. Only the settings carry
+                // over: a fresh state has no result, end reason or finish time.
+                var previous = game.State;
+                var rematch = new Game(
+                    GameId: Guid.NewGuid().ToString("N"),
+                    FriendlyName: game.FriendlyName,
+                    HostPlayer: game.GuestPlayer,
+                    GuestPlayer: game.HostPlayer,
+                    State: StartTurns(
+                        new GameState(
+                            Board: new Cell[previous.Board.Length],
+                            NextTurnPlayer: game.GuestPlayer,
+                            Status: GameStatus.WaitingForOpponent,
+                            WinnerPlayer: null,
+                            BoardSize: previous.BoardSize,
+                            WinLength: previous.WinLength)
+                        {
+                            Variant = previous.Variant,
+                            BoardRows = previous.BoardRows,
+                            Gravity = previous.Gravity,
+                            MoveTimeLimitSeconds = previous.MoveTimeLimitSeconds,
+                            ClockInitialSeconds = previous.ClockInitialSeconds,
+                            ClockIncrementSeconds = previous.ClockIncrementSeconds
+                        },
+                        game.GuestPlayer,
+                        game.HostPlayer),
+                    ComputerOpponent: game.ComputerOpponent)
+                {
+                    SeriesId = game.SeriesId,
+                    IsPrivate = game.IsPrivate,
+                    IsCasual = game.IsCasual,
+                    HostToken = game.ComputerPlayerName == game.GuestPlayer ? null : NewSeatToken(),
+                    GuestToken = game.ComputerPlayerName == game.HostPlayer ? null : NewSeatToken()
+                };
+
+                Save(rematch);
+                updated = updated with { RematchGameId = rematch.GameId };
+            }
+
+            Save(updated);
+            return updated;
+        }
+    }
+
+    public Result<Game> Resign(string gameId, string player)
+    {
+        if (string.IsNullOrWhiteSpace(gameId))
+            return "Game id is required.";
+
+        if (string.IsNullOrWhiteSpace(player))
+            return "Player is required.";
+
+        lock (_lock)
+        {
+            if (!_gamesById.TryGetValue(gameId, out var game))
+                return "Game not found.";
+
+            if (game.HostPlayer != player && game.GuestPlayer != player)
+                return "Only players can resign.";
+
+            if (game.State.Status != GameStatus.InProgress)
+                return "Game is not in progress.";
+
+            var now = _timeProvider.GetUtcNow();
+            var updated = game with
+            {
+                UndoRequestedBy = null,
+                DrawOfferedBy = null,
+                State = game.State with
+                {
+                    Status = GameStatus.Finished,
+                    NextTurnPlayer = null,
+                    WinnerPlayer = player == game.HostPlayer ? game.GuestPlayer : game.HostPlayer,
+                    FinishedAt = now,
+                    EndReason = GameEndReason.Resignation
+                }
+            };
+
+            Save(updated);
+            _ratings.RecordResult(updated, now);
+            return updated;
+        }
+    }
+
+    // Offering when the opponent already offered agrees to the draw.
+    public Result<Game> OfferDraw(string gameId, string player)
+    {
+        if (string.IsNullOrWhiteSpace(gameId))
+            return "Game id is required.";
+
+        if (string.IsNullOrWhiteSpace(player))
+            return "Player is required.";
+
+        lock (_lock)
+        {
+            if (!_gamesById.TryGetValue(gameId, out var game))
+                return "Game not found.";
+
+            if (game.HostPlayer != player && game.GuestPlayer != player)
+                return "Only players can offer a draw.";
+
+            if (game.State.Status != GameStatus.InProgress)
+                return "Game is not in progress.";
+
+            if (game.ComputerPlayerName is not null)
+                return "The computer does not accept draws.";
+
+            if (game.DrawOfferedBy == player)
+                return game;
+
+            if (game.DrawOfferedBy is not null)
+                return AgreeDraw(game);
+
+            var updated = game with { DrawOfferedBy = player };
+            Save(updated);
+            return updated;
+        }
+    }
+
+    public Result<Game> AcceptDraw(string gameId, string player)
+    {
+        if (string.IsNullOrWhiteSpace(gameId))
+            return "Game id is required.";
+
+        if (string.IsNullOrWhiteSpace(player))
+            return "Player is required.";
+
+        lock (_lock)
+        {
+            if (!_gamesById.TryGetValue(gameId, out var game))
+                return "Game not found.";
+
+            if (game.HostPlayer != player && game.GuestPlayer != player)
+                return "Only players can accept a draw.";
+
+            if (game.State.Status != GameStatus.InProgress)
+                return "Game is not in progress.";
+
+            if (game.DrawOfferedBy is null || game.DrawOfferedBy == player)
+                return "Your opponent has not offered a draw.";
+
+            return AgreeDraw(game);
+        }
+    }
+
+    public Result<Game> RequestUndo(string gameId, string player)
+    {
+        if (string.IsNullOrWhiteSpace(gameId))
+            return "Game id is required.";
+
+        if (string.IsNullOrWhiteSpace(player))
+            return "Player is required.";
+
+        lock (_lock)
+        {
+            if (!_gamesById.TryGetValue(gameId, out var game))
+                return "Game not found.";
+
+            if (game.HostPlayer != player && game.GuestPlayer != player)
+                return "Only players can take back moves.";
+
+            if (!game.AllowsTakeBacks)
+                return game.State.ClockInitialSeconds is null
+                    ? "Take-backs are off in rated games."
+                    : "Take-backs are off in games with a clock.";
+
+            if (game.State.Status != GameStatus.InProgress)
+                return "Game is not in progress.";
+
+            if (!game.State.Moves.Any(m => m.Player == player))
+                return "You have no move to take back.";
+
+            if (game.UndoRequestedBy is not null)
+                return "A take-back is already waiting for an answer.";
+
+            // The computer always agrees.
+            var updated = game.ComputerPlayerName is not null
+                ? game with { State = TakeBack(game.State, player) }
+                : game with { UndoRequestedBy = player };
+
+            Save(updated);
+            return updated;
+        }
+    }
+
+    public Result<Game> RespondToUndo(string gameId, string player, bool accept)
+    {
+        if (string.IsNullOrWhiteSpace(gameId))
+            return "Game id is required.";
+
+        if (string.IsNullOrWhiteSpace(player))
+            return "Player is required.";
+
+        lock (_lock)
+        {
+            if (!_gamesById.TryGetValue(gameId, out var game))
+                return "Game not found.";
+
+            if (game.UndoRequestedBy is not { } requester)
+                return "There is no take-back to answer.";
+
+            if (requester == player || (game.HostPlayer != player && game.GuestPlayer != player))
+                return "Only the opponent can answer a take-back.";
+
+            var updated = game with
+            {
+                UndoRequestedBy = null,
+                State = accept && game.State.Status == GameStatus.InProgress
+                    ? TakeBack(game.State, requester)
+                    : game.State
+            };
+
+            Save(updated);
+            return updated;
+        }
+    }
+
+    public SeriesScore GetSeriesScore(string seriesId)
+    {
+        var wins = new Dictionary<string, int>(StringComparer.Ordinal);
+        var draws = 0;
+
+        lock (_lock)
+        {
+            foreach (var game in _gamesById.Values)
+            {
+                if (game.SeriesId != seriesId || game.State.Status != GameStatus.Finished)
+                    continue;
+
+                wins.TryAdd(game.HostPlayer, 0);
+                if (game.GuestPlayer is not null)
+                    wins.TryAdd(game.GuestPlayer, 0);
+
+                if (game.State.WinnerPlayer is { } winner)
+                    wins[winner]++;
+                else if (game.State.IsDraw)
+                    draws++;
+            }
+        }
+
+        return new SeriesScore(wins, draws);
+    }
+
+    // Only a game still waiting for an opponent can be called off. Once it has started,
+    // cancelling counts as resigning so a losing player can't dodge a rated result.
     public Result<bool> CancelGame(string gameId, string player)
     {
         if (string.IsNullOrWhiteSpace(gameId))
@@ -52,13 +424,30 @@ public sealed class Games : IGames
             if (game.HostPlayer != player && game.GuestPlayer != player)
                 return "Only players can cancel the game.";
 
-            // Fix: mark as Finished so it does not stay in lobby
+            if (game.State.Status is not (GameStatus.WaitingForOpponent or GameStatus.InProgress))
+                return "Game is already over.";
+
+            if (game.State.Status == GameStatus.InProgress)
+            {
+                var resigned = Resign(gameId, player);
+                if (resigned.IsFailure)
+                    return resigned.Error!;
+
+                return true;
+            }
+
+            // Cancelled games are finished so they drop out of the lobby
             var updated = game with
             {
-                State = game.State with { Status = GameStatus.Finished }
+                State = game.State with
+                {
+                    Status = GameStatus.Finished,
+                    FinishedAt = _timeProvider.GetUtcNow(),
+                    EndReason = GameEndReason.Cancelled
+                }
             };
 
-            _gamesById[gameId] = updated;
+            Save(updated);
             return true;
         }
     }
@@ -74,7 +463,7 @@ public sealed class Games : IGames
         return game;
     }
 
-    public Result<Game> JoinGame(string gameId, string guestPlayer)
+    public Result<Game> JoinGame(string gameId, string guestPlayer, string? inviteCode = null, string? password = null)
     {
         if (string.IsNullOrWhiteSpace(gameId))
             return "Game id is required.";
@@ -82,29 +471,79 @@ public sealed class Games : IGames
         if (string.IsNullOrWhiteSpace(guestPlayer))
             return "Guest player is required.";
 
+        if (!_gamesById.TryGetValue(gameId, out var game))
+            return "Game not found.";
+
+        if (game.GuestPlayer is not null)
+            return "Game already has two players.";
+
+        if (game.HostPlayer == guestPlayer)
+            return game;
+
+        if (game.IsPrivate && !InviteCodesMatch(game.InviteCode, inviteCode))
+            return "This game is private. Use the invite link or join code to join.";
+
+        // In a private game the invite code checked above already lets the guest in. Hashing is
+        // slow on purpose, so it runs outside the lock; the seat is checked again below.
+        if (game.PasswordHash is { } passwordHash && !game.IsPrivate)
+        {
+            if (string.IsNullOrEmpty(password))
+                return "This game needs a password.";
+
+            if (!TryCountPasswordAttempt(gameId))
+                return "Too many password attempts. Try again in a minute.";
+
+            if (!VerifyPassword(passwordHash, password))
+                return "Wrong password.";
+        }
+
         lock (_lock)
         {
-            if (!_gamesById.TryGetValue(gameId, out var game))
+            if (!_gamesById.TryGetValue(gameId, out game))
                 return "Game not found.";
 
             if (game.GuestPlayer is not null)
                 return "Game already has two players.";
 
-            if (game.HostPlayer == guestPlayer)
-                return game;
+            if (game.State.Status != GameStatus.WaitingForOpponent)
+                return "Game is no longer open.";
 
             var updated = game with
             {
                 GuestPlayer = guestPlayer,
-                State = game.State with { Status = GameStatus.InProgress }
+                GuestToken = NewSeatToken(),
+                State = StartTurns(game.State, game.HostPlayer, guestPlayer)
             };
 
-            _gamesById[gameId] = updated;
+            Save(updated);
             return updated;
         }
     }
 
-    public Result<Game> MakeMove(string gameId, string player, int cellIndex)
+    // Result<string> cannot use the implicit conversions (value and error are both strings).
+    public Result<string> GetSeatPlayer(string gameId, string playerToken)
+    {
+        if (string.IsNullOrWhiteSpace(gameId))
+            return Result<string>.Failure("Game id is required.");
+
+        if (string.IsNullOrWhiteSpace(playerToken))
+            return Result<string>.Failure("Player token is required.");
+
+        if (!_gamesById.TryGetValue(gameId, out var game))
+            return Result<string>.Failure("Game not found.");
+
+        if (TokensMatch(game.HostToken, playerToken))
+            return Result<string>.Success(game.HostPlayer);
+
+        if (TokensMatch(game.GuestToken, playerToken) && game.GuestPlayer is not null)
+            return Result<string>.Success(game.GuestPlayer);
+
+        return Result<string>.Failure("Player token does not match a seat in this game.");
+    }
+
+    // With gravity any cell of a column (such as its number, the index of its top cell) plays that
+    // column: the mark lands in the lowest empty cell.
+    public Result<Game> MakeMove(string gameId, string player, int cellIndex, Cell? mark = null)
     {
         if (string.IsNullOrWhiteSpace(gameId))
             return "Game id is required.";
@@ -112,14 +551,14 @@ public sealed class Games : IGames
         if (string.IsNullOrWhiteSpace(player))
             return "Player is required.";
 
-        if (cellIndex < 0 || cellIndex > 8)
-            return "Cell index out of range.";
-
         lock (_lock)
         {
             if (!_gamesById.TryGetValue(gameId, out var game))
                 return "Game not found.";
 
+            if (cellIndex < 0 || cellIndex >= game.State.Board.Length)
+                return "Cell index out of range.";
+
             if (game.State.Status != GameStatus.InProgress)
                 return "Game is not in progress.";
 
@@ -135,65 +574,137 @@ public sealed class Games : IGames
             if (game.State.NextTurnPlayer != player)
                 return "Not your turn.";
 
+            if (game.State.Gravity)
+            {
+                if (BoardRules.LandingCell(game.State.Board, game.State.BoardSize, cellIndex % game.State.BoardSize) is not { } landing)
+                    return "Column is full.";
+
+                cellIndex = landing;
+            }
+
             if (game.State.Board[cellIndex] != Cell.Empty)
                 return "Cell already taken.";
 
-            int[][] winningCombos =
-            [
-                [0,1,2], [3,4,5], [6,7,8],
-                [0,3,6], [1,4,7], [2,5,8],
-                [0,4,8], [2,4,6]
-            ];
+            var rules = GameRules.For(game.State.Variant);
+            var legal = rules.CheckMove(game.State, cellIndex);
+            if (legal.IsFailure)
+                return legal.Error!;
+
+            if (mark is not (null or Cell.X or Cell.O))
+                return "Mark must be X or O.";
+
+            if (mark is not null && !rules.PlayersChooseMark && mark != rules.MarkFor(isHost))
+                return "You can't choose your mark in this game.";
+
+            // The turn timer service forfeits the game on its next tick.
+            var now = _timeProvider.GetUtcNow();
+            if (game.State.TurnDeadline is { } deadline && now > deadline)
+                return "Time is up.";
 
             var board = (Cell[])game.State.Board.Clone();
-            var mark = isHost ? Cell.X : Cell.O;
-            board[cellIndex] = mark;
+            var placed = mark ?? rules.MarkFor(isHost);
+            board[cellIndex] = placed;
+
+            var opponent = isHost ? game.GuestPlayer : game.HostPlayer;
+            var outcome = rules.Judge(board, game.State.BoardSize, game.State.WinLength, cellIndex);
 
-            string? winner = null;
-            foreach (var combo in winningCombos)
+            string? winner = outcome switch
             {
-                if (board[combo[0]] == mark &&
-                    board[combo[1]] == mark &&
-                    board[combo[2]] == mark)
-                {
-                    winner = player;
-                    break;
-                }
-            }
+                MoveOutcome.MoverWins => player,
+                MoveOutcome.MoverLoses => opponent,
+                _ => null
+            };
 
             GameStatus status;
             string? nextTurn;
+            GameEndReason? endReason = null;
 
             if (winner != null)
             {
                 status = GameStatus.Finished;
                 nextTurn = null;
+                endReason = GameEndReason.Line;
             }
-            else if (board.All(c => c != Cell.Empty))
+            else if (outcome == MoveOutcome.Draw)
             {
                 status = GameStatus.Finished;
                 nextTurn = null;
+                endReason = GameEndReason.BoardFull;
             }
             else
             {
                 status = GameStatus.InProgress;
-                nextTurn = isHost ? game.GuestPlayer : game.HostPlayer;
+                nextTurn = opponent;
             }
 
+            // A move answers any pending take-back request or draw offer with a no.
             var updated = game with
             {
-                State = new GameState(
-                    Board: board,
-                    NextTurnPlayer: nextTurn,
-                    Status: status,
-                    WinnerPlayer: winner)
+                UndoRequestedBy = null,
+                DrawOfferedBy = null,
+                State = game.State with
+                {
+                    Board = board,
+                    NextTurnPlayer = nextTurn,
+                    Status = status,
+                    WinnerPlayer = winner,
+                    Moves = [.. game.State.Moves, new Move(player, placed, cellIndex, now)],
+                    ClockRemaining = ChargeClock(game.State, player, now),
+                    TurnStartedAt = now,
+                    FinishedAt = status == GameStatus.Finished ? now : null,
+                    EndReason = endReason
+                }
             };
 
-            _gamesById[gameId] = updated;
+            Save(updated);
+
+            if (status == GameStatus.Finished)
+                _ratings.RecordResult(updated, now);
+
             return updated;
         }
     }
 
+    // Finishes every game whose player to move ran out of move time or clock time; the opponent wins.
+    public IReadOnlyCollection<Game> ForfeitExpiredTurns()
+    {
+        var now = _timeProvider.GetUtcNow();
+        var forfeited = new List<Game>();
+
+        lock (_lock)
+        {
+            foreach (var game in _gamesById.Values)
+            {
+                if (game.State.TurnDeadline is not { } deadline || now <= deadline)
+                    continue;
+
+                var loser = game.State.NextTurnPlayer;
+                var winner = loser == game.HostPlayer ? game.GuestPlayer : game.HostPlayer;
+
+                var updated = game with
+                {
+                    UndoRequestedBy = null,
+                    DrawOfferedBy = null,
+                    State = game.State with
+                    {
+                        Status = GameStatus.Finished,
+                        NextTurnPlayer = null,
+                        WinnerPlayer = winner,
+                        FinishedAt = now,
+                        EndReason = GameEndReason.Timeout,
+                        ClockRemaining = loser is null ? game.State.ClockRemaining : ChargeClock(game.State, loser, now, increment: false)
+                    }
+                };
+
+                Save(updated);
+                _ratings.RecordResult(updated, now);
+                forfeited.Add(updated);
+            }
+        }
+
+        return forfeited;
+    }
+
     public IReadOnlyCollection<Game> GetAllNonFinished()
     {
         lock (_lock)
@@ -209,11 +720,271 @@ public sealed class Games : IGames
         lock (_lock)
         {
             return _gamesById.Values
-                .Where(g => g.State.Status == GameStatus.WaitingForOpponent)
+                .Where(g => g.State.Status == GameStatus.WaitingForOpponent && !g.IsPrivate)
                 .ToArray();
         }
     }
 
+    public Result<Game> FindByInviteCode(string inviteCode)
+    {
+        if (string.IsNullOrWhiteSpace(inviteCode))
+            return "Join code is required.";
+
+        var game = _gamesById.Values.FirstOrDefault(g =>
+            g.State.Status == GameStatus.WaitingForOpponent &&
+            InviteCodesMatch(g.InviteCode, inviteCode));
+
+        return game is null ? "No open game with that join code." : game;
+    }
+
     public IReadOnlyCollection<Game> GetAll()
         => _gamesById.Values.ToArray();
+
+    // Names people must not pick: the computer's, and anyone holding a seat in a running game.
+    public bool IsNameReserved(string player)
+    {
+        if (string.IsNullOrWhiteSpace(player))
+            return false;
+
+        var isComputerName = Enum.GetValues<ComputerDifficulty>()
+            .Any(d => string.Equals(player, Game.ComputerNameFor(d), StringComparison.OrdinalIgnoreCase));
+
+        return isComputerName || _gamesById.Values.Any(g =>
+            g.State.Status is GameStatus.WaitingForOpponent or GameStatus.InProgress &&
+            (string.Equals(g.HostPlayer, player, StringComparison.OrdinalIgnoreCase) ||
+             string.Equals(g.GuestPlayer, player, StringComparison.OrdinalIgnoreCase)));
+    }
+
+    private Game AgreeDraw(Game game)
+    {
+        var now = _timeProvider.GetUtcNow();
+        var updated = game with
+        {
+            UndoRequestedBy = null,
+            DrawOfferedBy = null,
+            State = game.State with
+            {
+                Status = GameStatus.Finished,
+                NextTurnPlayer = null,
+                WinnerPlayer = null,
+                FinishedAt = now,
+                EndReason = GameEndReason.AgreedDraw
+            }
+        };
+
+        Save(updated);
+        _ratings.RecordResult(updated, now);
+        return updated;
+    }
+
+    // Removes the player's last move and any reply to it; it's their turn again on a fresh timer.
+    private GameState TakeBack(GameState state, string player)
+    {
+        var lastOwnMove = state.Moves.Count - 1;
+        while (lastOwnMove >= 0 && state.Moves[lastOwnMove].Player != player)
+            lastOwnMove--;
+
+        var moves = state.Moves.Take(Math.Max(lastOwnMove, 0)).ToArray();
+        var board = new Cell[state.Board.Length];
+        foreach (var move in moves)
+            board[move.CellIndex] = move.Mark;
+
+        return state with
+        {
+            Board = board,
+            Moves = moves,
+            NextTurnPlayer = player,
+            TurnStartedAt = _timeProvider.GetUtcNow()
+        };
+    }
+
+    // Writes through to the store so the game survives a restart.
+    private void Save(Game game)
+    {
+        _gamesById[game.GameId] = game;
+        _store.Save(game);
+    }
+
+    // Validates the options and builds a game waiting for its guest; callers seat players and store it.
+    private Result<Game> NewGame(string hostPlayer, string friendlyName, CreateGameOptions? options)
+    {
+        if (string.IsNullOrWhiteSpace(hostPlayer))
+            return "Host player is required.";
+
+        friendlyName = (friendlyName ?? string.Empty).Trim();
+        if (friendlyName.Length == 0)
+            return "Friendly name is required.";
+        if (friendlyName.Length > 50)
+            friendlyName = friendlyName[..50];
+
+        var gameId = Guid.NewGuid().ToString("N");
+        var computer = options?.ComputerDifficulty;
+
+        if (computer is { } difficulty && !Enum.IsDefined(difficulty))
+            return "Unknown computer difficulty.";
+
+        var variant = options?.Variant ?? GameVariant.Classic;
+        if (!GameRules.IsKnown(variant))
+            return "Unknown game type.";
+
+        var (boardSize, rows, winLength) = GameRules.Dimensions(variant, options?.BoardSize, options?.BoardRows, options?.WinLength);
+
+        var dimensions = BoardRules.ValidateDimensions(boardSize, winLength, rows);
+        if (dimensions.IsFailure)
+            return dimensions.Error!;
+
+        var gravity = options?.Gravity == true;
+        if (gravity && !GameRules.AllowsGravity(variant))
+            return "Gravity is not available for this game type.";
+
+        var moveTimeLimit = options?.MoveTimeLimitSeconds;
+        if (moveTimeLimit is < MinMoveTimeLimitSeconds or > MaxMoveTimeLimitSeconds)
+            return $"Move time limit must be between {MinMoveTimeLimitSeconds} and {MaxMoveTimeLimitSeconds} seconds.";
+
+        var password = string.IsNullOrWhiteSpace(options?.Password) ? null : options.Password;
+        if (password is { Length: > MaxPasswordLength })
+            return $"Password must be at most {MaxPasswordLength} characters.";
+
+        var clockInitial = options?.ClockInitialSeconds;
+        var clockIncrement = options?.ClockIncrementSeconds ?? 0;
+        if (clockInitial is < MinClockSeconds or > MaxClockSeconds)
+            return $"Clock time must be between {MinClockSeconds} and {MaxClockSeconds} seconds.";
+        if (clockIncrement is < 0 or > MaxClockIncrementSeconds)
+            return $"Clock increment must be between 0 and {MaxClockIncrementSeconds} seconds.";
+
+        var game = new Game(
+            GameId: gameId,
+            FriendlyName: friendlyName,
+            HostPlayer: hostPlayer,
+            GuestPlayer: null,
+            State: new GameState(
+                Board: new Cell[GameRules.For(variant).CellCountFor(boardSize, rows)],
+                NextTurnPlayer: hostPlayer,
+                Status: GameStatus.WaitingForOpponent,
+                WinnerPlayer: null,
+                BoardSize: boardSize,
+                WinLength: winLength)
+            {
+                Variant = variant,
+                BoardRows = rows == boardSize ? null : rows,
+                Gravity = gravity,
+                MoveTimeLimitSeconds = moveTimeLimit,
+                ClockInitialSeconds = clockInitial,
+                ClockIncrementSeconds = clockInitial is null ? 0 : clockIncrement
+            },
+            ComputerOpponent: computer)
+        {
+            HostToken = NewSeatToken(),
+            IsPrivate = options?.IsPrivate == true,
+            IsCasual = options?.IsCasual == true,
+            InviteCode = options?.IsPrivate == true ? NewInviteCode() : null,
+            PasswordHash = password is null ? null : HashPassword(password)
+        };
+
+        return game;
+    }
+
+    // Marks the game as started: the first turn begins now and both clocks are full.
+    private GameState StartTurns(GameState state, string hostPlayer, string guestPlayer)
+    {
+        var clocks = new Dictionary<string, TimeSpan>(StringComparer.Ordinal);
+        if (state.ClockInitialSeconds is { } initial)
+        {
+            clocks[hostPlayer] = TimeSpan.FromSeconds(initial);
+            clocks[guestPlayer] = TimeSpan.FromSeconds(initial);
+        }
+
+        return state with
+        {
+            Status = GameStatus.InProgress,
+            TurnStartedAt = _timeProvider.GetUtcNow(),
+            ClockRemaining = clocks
+        };
+    }
+
+    // Takes the time spent on this turn off the player's clock and adds the increment.
+    private static IReadOnlyDictionary<string, TimeSpan> ChargeClock(GameState state, string player, DateTimeOffset now, bool increment = true)
+    {
+        if (!state.ClockRemaining.TryGetValue(player, out var remaining) || state.TurnStartedAt is not { } started)
+            return state.ClockRemaining;
+
+        remaining -= now - started;
+        remaining = remaining < TimeSpan.Zero ? TimeSpan.Zero : remaining;
+        if (increment)
+            remaining += TimeSpan.FromSeconds(state.ClockIncrementSeconds);
+
+        return new Dictionary<string, TimeSpan>(state.ClockRemaining, StringComparer.Ordinal) { [player] = remaining };
+    }
+
+    // Short and easy to read out: no 0/O or 1/I. Unique among open games.
+    private string NewInviteCode()
+    {
+        const string alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+        while (true)
+        {
+            var code = RandomNumberGenerator.GetString(alphabet, InviteCodeLength);
+            if (FindByInviteCode(code).IsFailure)
+                return code;
+        }
+    }
+
+    private static bool InviteCodesMatch(string? expected, string? actual)
+        => expected is not null && actual is not null &&
+           string.Equals(expected, actual.Trim(), StringComparison.OrdinalIgnoreCase);
+
+    private static string HashPassword(string password)
+    {
+        var salt = RandomNumberGenerator.GetBytes(PasswordSaltSize);
+        var hash = Rfc2898DeriveBytes.Pbkdf2(password, salt, PasswordIterations, HashAlgorithmName.SHA256, PasswordHashSize);
+        return $"{Convert.ToHexString(salt)}:{Convert.ToHexString(hash)}";
+    }
+
+    private static bool VerifyPassword(string passwordHash, string password)
+    {
+        var parts = passwordHash.Split(':');
+        var salt = Convert.FromHexString(parts[0]);
+        var expected = Convert.FromHexString(parts[1]);
+
+        var actual = Rfc2898DeriveBytes.Pbkdf2(password, salt, PasswordIterations, HashAlgorithmName.SHA256, expected.Length);
+        return CryptographicOperations.FixedTimeEquals(expected, actual);
+    }
+
+    // False once the game has had MaxPasswordAttempts guesses within the window.
+    private bool TryCountPasswordAttempt(string gameId)
+    {
+        var now = _timeProvider.GetUtcNow();
+
+        lock (_passwordAttemptsLock)
+        {
+            // Windows that have passed are forgotten, at most once per window.
+            if (now - _passwordAttemptsPrunedAt >= PasswordAttemptWindow)
+            {
+                _passwordAttemptsPrunedAt = now;
+                foreach (var (id, attempts) in _passwordAttemptsByGameId)
+                {
+                    if (now - attempts.Since >= PasswordAttemptWindow)
+                        _passwordAttemptsByGameId.Remove(id);
+                }
+            }
+
+            var current = _passwordAttemptsByGameId.TryGetValue(gameId, out var a) && now - a.Since < PasswordAttemptWindow
+                ? a
+                : (Count: 0, Since: now);
+
+            if (current.Count >= MaxPasswordAttempts)
+                return false;
+
+            _passwordAttemptsByGameId[gameId] = (current.Count + 1, current.Since);
+            return true;
+        }
+    }
+
+    private static string NewSeatToken() => Convert.ToHexString(RandomNumberGenerator.GetBytes(16));
+
+    private static bool TokensMatch(string? expected, string actual)
+        => expected is not null &&
+           CryptographicOperations.FixedTimeEquals(
+               System.Text.Encoding.UTF8.GetBytes(expected),
+               System.Text.Encoding.UTF8.GetBytes(actual));
 }
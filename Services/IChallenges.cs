@@ -0,0 +1,10 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+public interface IChallenges
+{
+    Result<Challenge> Create(OnlinePlayer challenger, OnlinePlayer target, CreateGameOptions? options);
+    Result<Challenge> Take(string challengeId, string targetConnectionId);
+    IReadOnlyCollection<Challenge> RemoveFor(string connectionId);
+}
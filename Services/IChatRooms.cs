@@ -0,0 +1,10 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+public interface IChatRooms
+{
+    Result<ChatMessage> Post(string channel, string sender, string text, bool keepHistory = true);
+    IReadOnlyList<ChatMessage> GetRecent(string channel);
+    void Remove(string channel);
+}
@@ -0,0 +1,8 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+public interface IComputerPlayer
+{
+    Result<ComputerMove> ChooseMove(Game game);
+}
@@ -0,0 +1,6 @@
+namespace TicTacToeGame.Services;
+
+public interface IComputerTurns
+{
+    void Schedule(string gameId);
+}
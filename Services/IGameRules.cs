@@ -0,0 +1,39 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// How a move left the game, from the point of view of the player who made it.
+public enum MoveOutcome
+{
+    Continue = 0,
+    MoverWins = 1,
+    MoverLoses = 2,
+    Draw = 3
+}
+
+// One rule set: which marks the players place, which moves are legal and what ends the game.
+// Games.MakeMove checks the cell is in range and empty before asking the rules.
+public interface IGameRules
+{
+    GameVariant Variant { get; }
+
+    // Board size and win length forced by the rules; null lets the game creator choose.
+    (int BoardSize, int WinLength)? FixedDimensions { get; }
+
+    // Length of the board array for a board boardSize wide and rows high, unless the rules fix it.
+    int CellCountFor(int boardSize, int rows);
+
+    // The player names X or O with every move instead of having a mark of their own.
+    bool PlayersChooseMark { get; }
+
+    // The mark placed by the host or guest when the rules choose it for them.
+    Cell MarkFor(bool isHost);
+
+    // One line for the game and replay pages.
+    string Describe(int boardSize, int rows, int winLength);
+
+    Result CheckMove(GameState state, int cellIndex);
+
+    // Called with the mark already placed at cellIndex.
+    MoveOutcome Judge(Cell[] board, int boardSize, int winLength, int cellIndex);
+}
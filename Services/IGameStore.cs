@@ -0,0 +1,11 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Durable storage behind Games. Games keeps its own in-memory index and writes every change
+// through; the store is read once, at startup.
+public interface IGameStore
+{
+    IReadOnlyCollection<Game> LoadAll();
+    void Save(Game game);
+}
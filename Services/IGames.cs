@@ -4,13 +4,25 @@ namespace TicTacToeGame.Services;
 
 public interface IGames
 {
-    Result<Game> CreateGame(string hostPlayer, string friendlyName);
-    Result<Game> JoinGame(string gameId, string guestPlayer);
+    Result<Game> CreateGame(string hostPlayer, string friendlyName, CreateGameOptions? options = null);
+    Result<Game> CreateMatch(string hostPlayer, string guestPlayer, string friendlyName, CreateGameOptions? options = null, string? tournamentId = null);
+    Result<Game> JoinGame(string gameId, string guestPlayer, string? inviteCode = null, string? password = null);
+    Result<Game> FindByInviteCode(string inviteCode);
     Result<Game> GetGame(string gameId);
-    Result<Game> MakeMove(string gameId, string player, int cellIndex);
+    Result<string> GetSeatPlayer(string gameId, string playerToken);
+    Result<Game> MakeMove(string gameId, string player, int cellIndex, Cell? mark = null);
     Result<bool> CancelGame(string gameId, string player);
+    Result<Game> RequestRematch(string gameId, string player);
+    Result<Game> Resign(string gameId, string player);
+    Result<Game> OfferDraw(string gameId, string player);
+    Result<Game> AcceptDraw(string gameId, string player);
+    Result<Game> RequestUndo(string gameId, string player);
+    Result<Game> RespondToUndo(string gameId, string player, bool accept);
+    SeriesScore GetSeriesScore(string seriesId);
+    IReadOnlyCollection<Game> ForfeitExpiredTurns();
     IReadOnlyCollection<Game> GetWaitingForOpponent();
     IReadOnlyCollection<Game> GetAll();
     IReadOnlyCollection<Game> GetAllNonFinished();
+    bool IsNameReserved(string player);
 
 }
@@ -0,0 +1,10 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+public interface IMatchmaking
+{
+    Result<MatchmakingTicket?> Enter(string connectionId, string player, int boardSize, int winLength, GameVariant variant = GameVariant.Classic, int? rows = null, bool gravity = false);
+    void Requeue(MatchmakingTicket ticket);
+    bool Leave(string connectionId);
+}
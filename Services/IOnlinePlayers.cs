@@ -5,7 +5,8 @@ namespace TicTacToeGame.Services;
 public interface IOnlinePlayers
 {
     IReadOnlyCollection<OnlinePlayer> GetAll();
-    OnlinePlayer AddOrUpdate(string connectionId, string displayName);
+    OnlinePlayer AddOrUpdate(string connectionId, string displayName, string playerKey);
+    OnlinePlayer Register(string connectionId, string requestedName, string playerKey, Func<string, bool> isNameReserved);
     bool Remove(string connectionId);
     bool TryGet(string connectionId, out OnlinePlayer? player);
 }
@@ -0,0 +1,8 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+public interface IPlayerStats
+{
+    PlayerProfile GetProfile(string player);
+}
@@ -0,0 +1,12 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+public interface IRatings
+{
+    void RecordResult(Game game, DateTimeOffset finishedAt);
+    int GetRating(string player);
+    PlayerRating? GetPlayer(string player);
+    IReadOnlyList<PlayerRating> GetLeaderboard();
+    IReadOnlyList<RatingChange> GetHistory(string player);
+}
@@ -0,0 +1,9 @@
+namespace TicTacToeGame.Services;
+
+public interface ISpectators
+{
+    int Add(string connectionId, string gameId);
+    string? Remove(string connectionId);
+    int Count(string gameId);
+    bool IsWatching(string connectionId, string gameId);
+}
@@ -0,0 +1,16 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+public interface ITournaments
+{
+    Result<Tournament> Create(string organizer, string name, CreateTournamentOptions? options);
+    Result<Tournament> Register(string tournamentId, string player);
+    Result<Tournament> Withdraw(string tournamentId, string player);
+    Result<Tournament> Start(string tournamentId, string player);
+    Result<Tournament> Get(string tournamentId);
+    string? GetTournamentId(string gameId);
+    Tournament? RecordResult(Game game);
+    IReadOnlyList<TournamentStanding> GetStandings(Tournament tournament);
+    IReadOnlyCollection<Tournament> GetAll();
+}
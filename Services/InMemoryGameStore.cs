@@ -0,0 +1,14 @@
+using System.Collections.Concurrent;
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Nothing survives a restart; used when no database is configured and in tests.
+public sealed class InMemoryGameStore : IGameStore
+{
+    private readonly ConcurrentDictionary<string, Game> _gamesById = new(StringComparer.Ordinal);
+
+    public IReadOnlyCollection<Game> LoadAll() => _gamesById.Values.ToArray();
+
+    public void Save(Game game) => _gamesById[game.GameId] = game;
+}
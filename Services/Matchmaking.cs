@@ -0,0 +1,86 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Quick play queue: first come, first served within each board variant.
+public sealed class Matchmaking : IMatchmaking
+{
+    private readonly List<MatchmakingTicket> _queue = new();
+    private readonly object _lock = new();
+    private readonly TimeProvider _timeProvider;
+
+    public Matchmaking(TimeProvider timeProvider)
+    {
+        _timeProvider = timeProvider;
+    }
+
+    // Returns the longest-waiting compatible opponent (now out of the queue), or null after
+    // queueing the caller. Entering again replaces the caller's previous ticket.
+    public Result<MatchmakingTicket?> Enter(string connectionId, string player, int boardSize, int winLength, GameVariant variant = GameVariant.Classic, int? rows = null, bool gravity = false)
+    {
+        if (string.IsNullOrWhiteSpace(connectionId))
+            return "ConnectionId is required.";
+
+        if (string.IsNullOrWhiteSpace(player))
+            return "Player is required.";
+
+        var dimensions = BoardRules.ValidateDimensions(boardSize, winLength, rows);
+        if (dimensions.IsFailure)
+            return dimensions.Error!;
+
+        if (gravity && !GameRules.AllowsGravity(variant))
+            return "Gravity is not available for this game type.";
+
+        var boardRows = rows ?? boardSize;
+
+        lock (_lock)
+        {
+            _queue.RemoveAll(t => t.ConnectionId == connectionId);
+
+            // Another tab of the same player must not be paired with this one.
+            var opponent = _queue.FirstOrDefault(t =>
+                t.Variant == variant &&
+                t.BoardSize == boardSize &&
+                t.Rows == boardRows &&
+                t.WinLength == winLength &&
+                t.Gravity == gravity &&
+                !string.Equals(t.Player, player, StringComparison.OrdinalIgnoreCase));
+
+            if (opponent is not null)
+            {
+                _queue.Remove(opponent);
+                return opponent;
+            }
+
+            _queue.Add(new MatchmakingTicket(connectionId, player, boardSize, winLength, _timeProvider.GetUtcNow())
+            {
+                Variant = variant,
+                Rows = boardRows,
+                Gravity = gravity
+            });
+            return Result<MatchmakingTicket?>.Success(null);
+        }
+    }
+
+    // Puts back an opponent Enter handed out when no game could be made for the pair; the
+    // ticket keeps its place in the queue.
+    public void Requeue(MatchmakingTicket ticket)
+    {
+        lock (_lock)
+        {
+            if (_queue.Any(t => t.ConnectionId == ticket.ConnectionId))
+                return;
+
+            var index = _queue.FindIndex(t => t.EnqueuedAt > ticket.EnqueuedAt);
+            _queue.Insert(index < 0 ? _queue.Count : index, ticket);
+        }
+    }
+
+    public bool Leave(string connectionId)
+    {
+        lock (_lock)
+        {
+            return _queue.RemoveAll(t => t.ConnectionId == connectionId) > 0;
+        }
+    }
+}
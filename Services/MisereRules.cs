@@ -0,0 +1,29 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Classic marks and boards, but whoever completes a line of their own mark loses.
+public sealed class MisereRules : IGameRules
+{
+    public GameVariant Variant => GameVariant.Misere;
+
+    public (int BoardSize, int WinLength)? FixedDimensions => null;
+
+    public int CellCountFor(int boardSize, int rows) => boardSize * rows;
+
+    public bool PlayersChooseMark => false;
+
+    public Cell MarkFor(bool isHost) => isHost ? Cell.X : Cell.O;
+
+    public string Describe(int boardSize, int rows, int winLength) => $"Misère: {boardSize}×{rows}, {winLength} in a row loses";
+
+    public Result CheckMove(GameState state, int cellIndex) => Result.Success();
+
+    public MoveOutcome Judge(Cell[] board, int boardSize, int winLength, int cellIndex)
+    {
+        if (BoardRules.IsWinningMove(board, boardSize, winLength, cellIndex))
+            return MoveOutcome.MoverLoses;
+
+        return BoardRules.IsFull(board) ? MoveOutcome.Draw : MoveOutcome.Continue;
+    }
+}
@@ -0,0 +1,30 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Both players place X and whoever completes a line loses. The last empty cell always completes a
+// row, so the game never reaches the draw below.
+public sealed class NotaktoRules : IGameRules
+{
+    public GameVariant Variant => GameVariant.Notakto;
+
+    public (int BoardSize, int WinLength)? FixedDimensions => null;
+
+    public int CellCountFor(int boardSize, int rows) => boardSize * rows;
+
+    public bool PlayersChooseMark => false;
+
+    public Cell MarkFor(bool isHost) => Cell.X;
+
+    public string Describe(int boardSize, int rows, int winLength) => $"Notakto: {boardSize}×{rows}, both play X, {winLength} in a row loses";
+
+    public Result CheckMove(GameState state, int cellIndex) => Result.Success();
+
+    public MoveOutcome Judge(Cell[] board, int boardSize, int winLength, int cellIndex)
+    {
+        if (BoardRules.IsWinningMove(board, boardSize, winLength, cellIndex))
+            return MoveOutcome.MoverLoses;
+
+        return BoardRules.IsFull(board) ? MoveOutcome.Draw : MoveOutcome.Continue;
+    }
+}
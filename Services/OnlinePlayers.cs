@@ -5,11 +5,18 @@ namespace TicTacToeGame.Services;
 
 public sealed class OnlinePlayers : IOnlinePlayers
 {
+    private const int MaxDisplayNameLength = 32;
+
     private readonly ConcurrentDictionary<string, OnlinePlayer> _playersByConnectionId = new(StringComparer.Ordinal);
 
+    // Last player key seen for each name; kept after disconnect so a returning tab keeps its name.
+    private readonly ConcurrentDictionary<string, string> _playerKeyByName = new(StringComparer.OrdinalIgnoreCase);
+    private readonly object _lock = new();
+
     public IReadOnlyCollection<OnlinePlayer> GetAll() => _playersByConnectionId.Values.ToArray();
 
-    public OnlinePlayer AddOrUpdate(string connectionId, string displayName)
+    // For identities already proven elsewhere (a seat token): no uniqueness check.
+    public OnlinePlayer AddOrUpdate(string connectionId, string displayName, string playerKey)
     {
         if (string.IsNullOrWhiteSpace(connectionId))
             throw new ArgumentException("ConnectionId is required.", nameof(connectionId));
@@ -18,11 +25,43 @@ public sealed class OnlinePlayers : IOnlinePlayers
         if (displayName.Length == 0)
             displayName = "Player";
 
-        return _playersByConnectionId.AddOrUpdate(
-            connectionId,
-            static (id, name) => new OnlinePlayer(id, name),
-            static (id, existing, name) => existing with { DisplayName = name },
-            displayName);
+        lock (_lock)
+        {
+            _playerKeyByName[displayName] = playerKey;
+
+            return _playersByConnectionId.AddOrUpdate(
+                connectionId,
+                static (id, arg) => new OnlinePlayer(id, arg.displayName, arg.playerKey),
+                static (id, existing, arg) => existing with { DisplayName = arg.displayName, PlayerKey = arg.playerKey },
+                (displayName, playerKey));
+        }
+    }
+
+    // Gives the connection the requested name, or the first free "name 2", "name 3"... when another
+    // player already uses it. Names are compared case-insensitively.
+    public OnlinePlayer Register(string connectionId, string requestedName, string playerKey, Func<string, bool> isNameReserved)
+    {
+        if (string.IsNullOrWhiteSpace(connectionId))
+            throw new ArgumentException("ConnectionId is required.", nameof(connectionId));
+
+        if (string.IsNullOrWhiteSpace(playerKey))
+            throw new ArgumentException("PlayerKey is required.", nameof(playerKey));
+
+        requestedName = requestedName?.Trim() ?? string.Empty;
+        if (requestedName.Length == 0)
+            requestedName = "Player";
+
+        lock (_lock)
+        {
+            var candidate = requestedName;
+            for (var suffix = 2; !IsAvailable(candidate, connectionId, playerKey, isNameReserved); suffix++)
+            {
+                var tail = $" {suffix}";
+                candidate = requestedName[..Math.Min(requestedName.Length, MaxDisplayNameLength - tail.Length)] + tail;
+            }
+
+            return AddOrUpdate(connectionId, candidate, playerKey);
+        }
     }
 
     public bool Remove(string connectionId)
@@ -43,4 +82,19 @@ public sealed class OnlinePlayers : IOnlinePlayers
 
         return _playersByConnectionId.TryGetValue(connectionId, out player);
     }
+
+    private bool IsAvailable(string name, string connectionId, string playerKey, Func<string, bool> isNameReserved)
+    {
+        var usedByOther = _playersByConnectionId.Values.Any(p =>
+            p.ConnectionId != connectionId &&
+            p.PlayerKey != playerKey &&
+            string.Equals(p.DisplayName, name, StringComparison.OrdinalIgnoreCase));
+
+        if (usedByOther)
+            return false;
+
+        // Reserved names (seated in a running game, the computer) stay with whoever held them last.
+        var heldBefore = _playerKeyByName.TryGetValue(name, out var lastKey) && lastKey == playerKey;
+        return heldBefore || !isNameReserved(name);
+    }
 }
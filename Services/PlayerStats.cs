@@ -0,0 +1,89 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Profile numbers computed from the finished games Games holds; cancelled games don't count.
+public sealed class PlayerStats : IPlayerStats
+{
+    private const int RecentGamesCount = 10;
+
+    private readonly IGames _games;
+    private readonly IRatings _ratings;
+
+    public PlayerStats(IGames games, IRatings ratings)
+    {
+        _games = games;
+        _ratings = ratings;
+    }
+
+    public PlayerProfile GetProfile(string player)
+    {
+        var summaries = _games.GetAll()
+            .Where(g => g.State.HasResult && g.GuestPlayer is not null)
+            .Where(g => IsPlayer(g.HostPlayer, player) || IsPlayer(g.GuestPlayer, player))
+            .OrderByDescending(g => g.State.FinishedAt)
+            .Select(g => (Game: g, Summary: Summarize(g, player)))
+            .ToArray();
+
+        var asX = summaries.Where(s => s.Summary.Mark == Cell.X).ToArray();
+        var asO = summaries.Where(s => s.Summary.Mark == Cell.O).ToArray();
+
+        // Openings are compared per game type and board shape: cell 4 is the centre only on 3x3.
+        var favouriteOpening = summaries
+            .Where(s => s.Game.State.Moves.Count > 0 && IsPlayer(s.Game.State.Moves[0].Player, player))
+            .GroupBy(s => (s.Game.State.Variant, s.Game.State.BoardSize, s.Game.State.Rows, s.Game.State.Moves[0].CellIndex))
+            .OrderByDescending(group => group.Count())
+            .Select(group => ((GameVariant Variant, int BoardSize, int Rows, int CellIndex)?)group.Key)
+            .FirstOrDefault();
+
+        var streakOutcome = summaries.Length > 0 ? summaries[0].Summary.Outcome : (GameOutcome?)null;
+        var streakLength = summaries.TakeWhile(s => s.Summary.Outcome == streakOutcome).Count();
+
+        return new PlayerProfile
+        {
+            Player = player,
+            Rating = _ratings.GetPlayer(player),
+            Wins = summaries.Count(s => s.Summary.Outcome == GameOutcome.Win),
+            Losses = summaries.Count(s => s.Summary.Outcome == GameOutcome.Loss),
+            Draws = summaries.Count(s => s.Summary.Outcome == GameOutcome.Draw),
+            WinRateAsX = WinRate(asX),
+            WinRateAsO = WinRate(asO),
+            FavouriteOpeningCell = favouriteOpening?.CellIndex,
+            FavouriteOpeningBoardSize = favouriteOpening?.BoardSize,
+            FavouriteOpeningRows = favouriteOpening?.Rows,
+            FavouriteOpeningVariant = favouriteOpening?.Variant,
+            StreakOutcome = streakOutcome,
+            StreakLength = streakLength,
+            RecentGames = summaries.Take(RecentGamesCount).Select(s => s.Summary).ToArray()
+        };
+    }
+
+    private static PlayerGameSummary Summarize(Game game, string player)
+    {
+        var isHost = IsPlayer(game.HostPlayer, player);
+        var rules = GameRules.For(game.State.Variant);
+        var outcome = game.State.WinnerPlayer is null
+            ? GameOutcome.Draw
+            : IsPlayer(game.State.WinnerPlayer, player) ? GameOutcome.Win : GameOutcome.Loss;
+
+        return new PlayerGameSummary(
+            GameId: game.GameId,
+            FriendlyName: game.FriendlyName,
+            Opponent: isHost ? game.GuestPlayer! : game.HostPlayer,
+            Mark: rules.PlayersChooseMark ? null : rules.MarkFor(isHost),
+            Outcome: outcome,
+            Variant: game.State.Variant,
+            BoardSize: game.State.BoardSize,
+            Rows: game.State.Rows,
+            WinLength: game.State.WinLength,
+            Gravity: game.State.Gravity,
+            FinishedAt: game.State.FinishedAt);
+    }
+
+    // Names are unique regardless of case, as in Ratings and OnlinePlayers.
+    private static bool IsPlayer(string? name, string player)
+        => string.Equals(name, player, StringComparison.OrdinalIgnoreCase);
+
+    private static double? WinRate((Game Game, PlayerGameSummary Summary)[] games)
+        => games.Length == 0 ? null : (double)games.Count(s => s.Summary.Outcome == GameOutcome.Win) / games.Length;
+}
@@ -0,0 +1,80 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// 3D tic-tac-toe on a 4x4x4 cube. The board array holds the four layers one after another, each
+// row by row, so cell (layer, row, col) is layer * 16 + row * 4 + col. A line is four in a row along
+// an axis, across a layer or through the cube: 76 in all, and the first player to fill one wins.
+public sealed class QubicRules : IGameRules
+{
+    public const int Size = 4;
+    public const int CellCount = Size * Size * Size;
+
+    // Half of the 26 neighbouring directions; the other half would find every line a second time.
+    private static readonly (int Layer, int Row, int Col)[] Directions =
+    [
+        (0, 0, 1), (0, 1, 0), (1, 0, 0),
+        (0, 1, 1), (0, 1, -1), (1, 0, 1), (1, 0, -1), (1, 1, 0), (1, -1, 0),
+        (1, 1, 1), (1, 1, -1), (1, -1, 1), (1, -1, -1)
+    ];
+
+    public static IReadOnlyList<int[]> Lines { get; } = BuildLines();
+
+    // For each cell, the lines passing through it.
+    public static IReadOnlyList<int[][]> LinesThrough { get; } = Enumerable.Range(0, CellCount)
+        .Select(cell => Lines.Where(line => line.Contains(cell)).ToArray())
+        .ToArray();
+
+    public static int CellIndex(int layer, int row, int col) => (layer * Size + row) * Size + col;
+
+    public GameVariant Variant => GameVariant.Qubic;
+
+    public (int BoardSize, int WinLength)? FixedDimensions => (Size, Size);
+
+    public int CellCountFor(int boardSize, int rows) => CellCount;
+
+    public bool PlayersChooseMark => false;
+
+    public Cell MarkFor(bool isHost) => isHost ? Cell.X : Cell.O;
+
+    public string Describe(int boardSize, int rows, int winLength) => "3D: 4×4×4 cube, 4 in a row in any direction";
+
+    public Result CheckMove(GameState state, int cellIndex) => Result.Success();
+
+    public MoveOutcome Judge(Cell[] board, int boardSize, int winLength, int cellIndex)
+    {
+        var mark = board[cellIndex];
+        if (mark != Cell.Empty && LinesThrough[cellIndex].Any(line => line.All(c => board[c] == mark)))
+            return MoveOutcome.MoverWins;
+
+        return BoardRules.IsFull(board) ? MoveOutcome.Draw : MoveOutcome.Continue;
+    }
+
+    private static int[][] BuildLines()
+    {
+        var lines = new List<int[]>();
+
+        for (var layer = 0; layer < Size; layer++)
+        {
+            for (var row = 0; row < Size; row++)
+            {
+                for (var col = 0; col < Size; col++)
+                {
+                    foreach (var (dLayer, dRow, dCol) in Directions)
+                    {
+                        if (!InCube(layer + dLayer * (Size - 1)) || !InCube(row + dRow * (Size - 1)) || !InCube(col + dCol * (Size - 1)))
+                            continue;
+
+                        lines.Add(Enumerable.Range(0, Size)
+                            .Select(k => CellIndex(layer + dLayer * k, row + dRow * k, col + dCol * k))
+                            .ToArray());
+                    }
+                }
+            }
+        }
+
+        return lines.ToArray();
+    }
+
+    private static bool InCube(int coordinate) => coordinate is >= 0 and < Size;
+}
@@ -0,0 +1,108 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Elo ratings keyed by display name. Only finished games between two people count: games
+// against the computer, casual games and cancelled games are not rated.
+public sealed class Ratings : IRatings
+{
+    public const int InitialRating = 1200;
+    private const double KFactor = 32;
+
+    private readonly Dictionary<string, PlayerRating> _ratingsByPlayer = new(StringComparer.OrdinalIgnoreCase);
+    private readonly Dictionary<string, List<RatingChange>> _historyByPlayer = new(StringComparer.OrdinalIgnoreCase);
+    private readonly HashSet<string> _ratedGameIds = new(StringComparer.Ordinal);
+    private readonly object _lock = new();
+
+    public void RecordResult(Game game, DateTimeOffset finishedAt)
+    {
+        if (!game.State.HasResult ||
+            game.GuestPlayer is not { } guest ||
+            game.ComputerOpponent is not null ||
+            game.IsCasual)
+            return;
+
+        var winner = game.State.WinnerPlayer;
+
+        lock (_lock)
+        {
+            if (!_ratedGameIds.Add(game.GameId))
+                return;
+
+            var host = GetOrCreate(game.HostPlayer);
+            var guestRating = GetOrCreate(guest);
+
+            var hostScore = winner is null ? 0.5 : winner == game.HostPlayer ? 1.0 : 0.0;
+            var hostExpected = 1 / (1 + Math.Pow(10, (guestRating.Rating - host.Rating) / 400.0));
+            var delta = (int)Math.Round(KFactor * (hostScore - hostExpected));
+
+            Apply(host, game.GameId, guest, hostScore, delta, finishedAt);
+            Apply(guestRating, game.GameId, game.HostPlayer, 1 - hostScore, -delta, finishedAt);
+        }
+    }
+
+    public int GetRating(string player)
+    {
+        lock (_lock)
+        {
+            return _ratingsByPlayer.TryGetValue(player, out var rating) ? rating.Rating : InitialRating;
+        }
+    }
+
+    public PlayerRating? GetPlayer(string player)
+    {
+        if (string.IsNullOrWhiteSpace(player))
+            return null;
+
+        lock (_lock)
+        {
+            return _ratingsByPlayer.GetValueOrDefault(player);
+        }
+    }
+
+    public IReadOnlyList<PlayerRating> GetLeaderboard()
+    {
+        lock (_lock)
+        {
+            return _ratingsByPlayer.Values
+                .OrderByDescending(r => r.Rating)
+                .ThenByDescending(r => r.GamesPlayed)
+                .ThenBy(r => r.Player, StringComparer.OrdinalIgnoreCase)
+                .ToArray();
+        }
+    }
+
+    // Newest first.
+    public IReadOnlyList<RatingChange> GetHistory(string player)
+    {
+        lock (_lock)
+        {
+            return _historyByPlayer.TryGetValue(player, out var history)
+                ? history.AsEnumerable().Reverse().ToArray()
+                : Array.Empty<RatingChange>();
+        }
+    }
+
+    private PlayerRating GetOrCreate(string player)
+        => _ratingsByPlayer.TryGetValue(player, out var rating)
+            ? rating
+            : new PlayerRating(player, InitialRating, Wins: 0, Losses: 0, Draws: 0);
+
+    private void Apply(PlayerRating rating, string gameId, string opponent, double score, int delta, DateTimeOffset playedAt)
+    {
+        var updated = rating with
+        {
+            Rating = rating.Rating + delta,
+            Wins = rating.Wins + (score == 1 ? 1 : 0),
+            Losses = rating.Losses + (score == 0 ? 1 : 0),
+            Draws = rating.Draws + (score == 0.5 ? 1 : 0)
+        };
+
+        _ratingsByPlayer[rating.Player] = updated;
+
+        if (!_historyByPlayer.TryGetValue(rating.Player, out var history))
+            _historyByPlayer[rating.Player] = history = new List<RatingChange>();
+
+        history.Add(new RatingChange(gameId, opponent, score, rating.Rating, updated.Rating, playedAt));
+    }
+}
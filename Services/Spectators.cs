@@ -0,0 +1,36 @@
+using System.Collections.Concurrent;
+
+namespace TicTacToeGame.Services;
+
+// Tracks which connections are watching which game; a connection watches at most one game.
+public sealed class Spectators : ISpectators
+{
+    private readonly ConcurrentDictionary<string, string> _gameIdByConnectionId = new(StringComparer.Ordinal);
+
+    public int Add(string connectionId, string gameId)
+    {
+        if (string.IsNullOrWhiteSpace(connectionId))
+            throw new ArgumentException("ConnectionId is required.", nameof(connectionId));
+
+        if (string.IsNullOrWhiteSpace(gameId))
+            throw new ArgumentException("GameId is required.", nameof(gameId));
+
+        _gameIdByConnectionId[connectionId] = gameId;
+        return Count(gameId);
+    }
+
+    public string? Remove(string connectionId)
+    {
+        if (string.IsNullOrWhiteSpace(connectionId))
+            return null;
+
+        return _gameIdByConnectionId.TryRemove(connectionId, out var gameId) ? gameId : null;
+    }
+
+    public bool IsWatching(string connectionId, string gameId)
+        => _gameIdByConnectionId.TryGetValue(connectionId, out var watched) &&
+           string.Equals(watched, gameId, StringComparison.Ordinal);
+
+    public int Count(string gameId)
+        => _gameIdByConnectionId.Values.Count(id => string.Equals(id, gameId, StringComparison.Ordinal));
+}
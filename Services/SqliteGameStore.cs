@@ -0,0 +1,195 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Threading.Channels;
+using Microsoft.Data.Sqlite;
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Each game is stored as a JSON document (what LoadAll reads back) next to result columns and
+// one row per move, so results and move history can be queried without parsing documents.
+// Save only queues the game: Games calls it under its lock, and a single writer works through
+// the queue in order so every change reaches the database, oldest first.
+public sealed class SqliteGameStore : IGameStore, IDisposable
+{
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        Converters = { new JsonStringEnumConverter() }
+    };
+
+    private readonly string _connectionString;
+    private readonly ILogger<SqliteGameStore> _logger;
+    private readonly Channel<Game> _pending = Channel.CreateUnbounded<Game>(new UnboundedChannelOptions { SingleReader = true });
+    private readonly Task _writer;
+
+    public SqliteGameStore(string connectionString, ILogger<SqliteGameStore> logger)
+    {
+        _connectionString = connectionString;
+        _logger = logger;
+
+        using (var connection = Open())
+        using (var command = connection.CreateCommand())
+        {
+            command.CommandText = """
+                CREATE TABLE IF NOT EXISTS games (
+                    game_id       TEXT NOT NULL PRIMARY KEY,
+                    series_id     TEXT NOT NULL,
+                    friendly_name TEXT NOT NULL,
+                    host_player   TEXT NOT NULL,
+                    guest_player  TEXT NULL,
+                    status        TEXT NOT NULL,
+                    winner_player TEXT NULL,
+                    finished_at   TEXT NULL,
+                    document      TEXT NOT NULL
+                );
+
+                CREATE TABLE IF NOT EXISTS moves (
+                    game_id     TEXT    NOT NULL REFERENCES games (game_id),
+                    move_number INTEGER NOT NULL,
+                    player      TEXT    NOT NULL,
+                    mark        TEXT    NOT NULL,
+                    cell_index  INTEGER NOT NULL,
+                    played_at   TEXT    NOT NULL,
+                    PRIMARY KEY (game_id, move_number)
+                );
+
+                CREATE INDEX IF NOT EXISTS ix_games_status ON games (status);
+                """;
+            command.ExecuteNonQuery();
+        }
+
+        _writer = Task.Run(WriteAllAsync);
+    }
+
+    public IReadOnlyCollection<Game> LoadAll()
+    {
+        using var connection = Open();
+        using var command = connection.CreateCommand();
+        command.CommandText = "SELECT document FROM games";
+
+        var games = new List<Game>();
+        using var reader = command.ExecuteReader();
+        while (reader.Read())
+        {
+            var game = JsonSerializer.Deserialize<Game>(reader.GetString(0), JsonOptions);
+            if (game is not null)
+                games.Add(game);
+        }
+
+        return games;
+    }
+
+    public void Save(Game game) => _pending.Writer.TryWrite(game);
+
+    // Writes whatever is still queued before the app shuts down.
+    public void Dispose()
+    {
+        _pending.Writer.TryComplete();
+        _writer.Wait();
+    }
+
+    private async Task WriteAllAsync()
+    {
+        await foreach (var game in _pending.Reader.ReadAllAsync())
+        {
+            try
+            {
+                Write(game);
+            }
+            catch (Exception ex)
+            {
+                // Keep the writer alive: it is the only one draining the queue.
+                _logger.LogError(ex, "Failed to store game {GameId}.", game.GameId);
+            }
+        }
+    }
+
+    private void Write(Game game)
+    {
+        using var connection = Open();
+        using var transaction = connection.BeginTransaction();
+
+        using (var upsert = connection.CreateCommand())
+        {
+            upsert.Transaction = transaction;
+            upsert.CommandText = """
+                INSERT INTO games (game_id, series_id, friendly_name, host_player, guest_player, status, winner_player, finished_at, document)
+                VALUES ($gameId, $seriesId, $friendlyName, $hostPlayer, $guestPlayer, $status, $winnerPlayer, $finishedAt, $document)
+                ON CONFLICT (game_id) DO UPDATE SET
+                    guest_player  = excluded.guest_player,
+                    status        = excluded.status,
+                    winner_player = excluded.winner_player,
+                    finished_at   = excluded.finished_at,
+                    document      = excluded.document
+                """;
+            upsert.Parameters.AddWithValue("$gameId", game.GameId);
+            upsert.Parameters.AddWithValue("$seriesId", game.SeriesId);
+            upsert.Parameters.AddWithValue("$friendlyName", game.FriendlyName);
+            upsert.Parameters.AddWithValue("$hostPlayer", game.HostPlayer);
+            upsert.Parameters.AddWithValue("$guestPlayer", (object?)game.GuestPlayer ?? DBNull.Value);
+            upsert.Parameters.AddWithValue("$status", game.State.Status.ToString());
+            upsert.Parameters.AddWithValue("$winnerPlayer", (object?)game.State.WinnerPlayer ?? DBNull.Value);
+            upsert.Parameters.AddWithValue("$finishedAt", (object?)game.State.FinishedAt?.ToString("O") ?? DBNull.Value);
+            upsert.Parameters.AddWithValue("$document", JsonSerializer.Serialize(game, JsonOptions));
+            upsert.ExecuteNonQuery();
+        }
+
+        // Every change is written in order, so the stored moves are always a prefix of the list:
+        // a take-back drops the last row and a new move only appends one.
+        long stored;
+        using (var count = connection.CreateCommand())
+        {
+            count.Transaction = transaction;
+            count.CommandText = "SELECT COUNT(*) FROM moves WHERE game_id = $gameId";
+            count.Parameters.AddWithValue("$gameId", game.GameId);
+            stored = (long)count.ExecuteScalar()!;
+        }
+
+        if (stored > game.State.Moves.Count)
+        {
+            using var trim = connection.CreateCommand();
+            trim.Transaction = transaction;
+            trim.CommandText = "DELETE FROM moves WHERE game_id = $gameId AND move_number > $count";
+            trim.Parameters.AddWithValue("$gameId", game.GameId);
+            trim.Parameters.AddWithValue("$count", game.State.Moves.Count);
+            trim.ExecuteNonQuery();
+            stored = game.State.Moves.Count;
+        }
+
+        using (var insert = connection.CreateCommand())
+        {
+            insert.Transaction = transaction;
+            insert.CommandText = """
+                INSERT INTO moves (game_id, move_number, player, mark, cell_index, played_at)
+                VALUES ($gameId, $moveNumber, $player, $mark, $cellIndex, $playedAt)
+                """;
+
+            insert.Parameters.AddWithValue("$gameId", game.GameId);
+            var moveNumber = insert.Parameters.Add("$moveNumber", SqliteType.Integer);
+            var player = insert.Parameters.Add("$player", SqliteType.Text);
+            var mark = insert.Parameters.Add("$mark", SqliteType.Text);
+            var cellIndex = insert.Parameters.Add("$cellIndex", SqliteType.Integer);
+            var playedAt = insert.Parameters.Add("$playedAt", SqliteType.Text);
+
+            for (var i = (int)stored; i < game.State.Moves.Count; i++)
+            {
+                var move = game.State.Moves[i];
+                moveNumber.Value = i + 1;
+                player.Value = move.Player;
+                mark.Value = move.Mark.ToString();
+                cellIndex.Value = move.CellIndex;
+                playedAt.Value = move.PlayedAt.ToString("O");
+                insert.ExecuteNonQuery();
+            }
+        }
+
+        transaction.Commit();
+    }
+
+    private SqliteConnection Open()
+    {
+        var connection = new SqliteConnection(_connectionString);
+        connection.Open();
+        return connection;
+    }
+}
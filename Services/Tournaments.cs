@@ -0,0 +1,607 @@
+using System.Collections.Concurrent;
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Runs tournaments on top of ordinary games: each pairing is played as a private game created
+// through IGames, and RecordResult moves the players on when that game ends. Tournaments are
+// kept in memory only and don't survive a restart; their games are stored like any other game,
+// tagged with the tournament id, and Games calls off the unfinished ones when it loads them.
+public sealed class Tournaments : ITournaments
+{
+    public const int MinPlayers = 2;
+    public const int MaxPlayersLimit = 32;
+    public const int DefaultMaxPlayers = 16;
+    public const int MaxPoolCount = 8;
+    public const int MaxNameLength = 50;
+
+    // An elimination pairing still undecided after this many games goes to the higher seed.
+    public const int MaxGamesPerMatch = 3;
+
+    private readonly ConcurrentDictionary<string, Tournament> _tournamentsById = new(StringComparer.Ordinal);
+    private readonly ConcurrentDictionary<string, string> _tournamentIdByGameId = new(StringComparer.Ordinal);
+    private readonly object _lock = new();
+    private readonly IGames _games;
+    private readonly IRatings _ratings;
+    private readonly TimeProvider _timeProvider;
+    private readonly ILogger<Tournaments> _logger;
+
+    public Tournaments(IGames games, IRatings ratings, TimeProvider timeProvider, ILogger<Tournaments> logger)
+    {
+        _games = games;
+        _ratings = ratings;
+        _timeProvider = timeProvider;
+        _logger = logger;
+    }
+
+    public Result<Tournament> Create(string organizer, string name, CreateTournamentOptions? options)
+    {
+        if (string.IsNullOrWhiteSpace(organizer))
+            return "Organizer is required.";
+
+        name = (name ?? string.Empty).Trim();
+        if (name.Length == 0)
+            return "Tournament name is required.";
+        if (name.Length > MaxNameLength)
+            name = name[..MaxNameLength];
+
+        var format = options?.Format ?? TournamentFormat.SingleElimination;
+        if (!Enum.IsDefined(format))
+            return "Unknown tournament format.";
+
+        var maxPlayers = options?.MaxPlayers ?? DefaultMaxPlayers;
+        if (maxPlayers is < MinPlayers or > MaxPlayersLimit)
+            return $"A tournament takes between {MinPlayers} and {MaxPlayersLimit} players.";
+
+        var poolCount = format == TournamentFormat.RoundRobin ? options?.PoolCount ?? 1 : 1;
+        if (poolCount is < 1 or > MaxPoolCount)
+            return $"Pool count must be between 1 and {MaxPoolCount}.";
+        if (poolCount * MinPlayers > maxPlayers)
+            return "Every pool needs room for at least two players.";
+
+        // Checked now rather than when the first games are created half way through the start.
+        var gameOptions = options?.GameOptions;
+        var variant = gameOptions?.Variant ?? GameVariant.Classic;
+        if (!GameRules.IsKnown(variant))
+            return "Unknown game type.";
+
+        var (boardSize, rows, winLength) = GameRules.Dimensions(variant, gameOptions?.BoardSize, gameOptions?.BoardRows, gameOptions?.WinLength);
+
+        var dimensions = BoardRules.ValidateDimensions(boardSize, winLength, rows);
+        if (dimensions.IsFailure)
+            return dimensions.Error!;
+
+        var gravity = gameOptions?.Gravity == true;
+        if (gravity && !GameRules.AllowsGravity(variant))
+            return "Gravity is not available for this game type.";
+
+        if (gameOptions?.MoveTimeLimitSeconds is < Games.MinMoveTimeLimitSeconds or > Games.MaxMoveTimeLimitSeconds)
+            return $"Move time limit must be between {Games.MinMoveTimeLimitSeconds} and {Games.MaxMoveTimeLimitSeconds} seconds.";
+        if (gameOptions?.ClockInitialSeconds is < Games.MinClockSeconds or > Games.MaxClockSeconds)
+            return $"Clock time must be between {Games.MinClockSeconds} and {Games.MaxClockSeconds} seconds.";
+        if (gameOptions?.ClockIncrementSeconds is < 0 or > Games.MaxClockIncrementSeconds)
+            return $"Clock increment must be between 0 and {Games.MaxClockIncrementSeconds} seconds.";
+
+        var tournament = new Tournament(
+            TournamentId: Guid.NewGuid().ToString("N"),
+            Name: name,
+            Organizer: organizer,
+            Format: format,
+            // Private, so nobody but the paired players can take a seat.
+            GameOptions: new CreateGameOptions
+            {
+                Variant = variant,
+                BoardSize = boardSize,
+                BoardRows = rows,
+                WinLength = winLength,
+                Gravity = gravity,
+                MoveTimeLimitSeconds = gameOptions?.MoveTimeLimitSeconds,
+                ClockInitialSeconds = gameOptions?.ClockInitialSeconds,
+                ClockIncrementSeconds = gameOptions?.ClockIncrementSeconds,
+                IsCasual = gameOptions?.IsCasual == true,
+                IsPrivate = true
+            },
+            MaxPlayers: maxPlayers,
+            CreatedAt: _timeProvider.GetUtcNow())
+        {
+            PoolCount = poolCount
+        };
+
+        _tournamentsById[tournament.TournamentId] = tournament;
+        return tournament;
+    }
+
+    public Result<Tournament> Register(string tournamentId, string player)
+    {
+        if (string.IsNullOrWhiteSpace(tournamentId))
+            return "Tournament id is required.";
+
+        if (string.IsNullOrWhiteSpace(player))
+            return "Player is required.";
+
+        lock (_lock)
+        {
+            if (!_tournamentsById.TryGetValue(tournamentId, out var tournament))
+                return "Tournament not found.";
+
+            if (tournament.Status != TournamentStatus.Registering)
+                return "Registration is closed.";
+
+            if (tournament.Players.Contains(player, StringComparer.Ordinal))
+                return tournament;
+
+            // Games can't pair names that differ only in case.
+            if (tournament.Players.Contains(player, StringComparer.OrdinalIgnoreCase))
+                return "A player with that name is already registered.";
+
+            if (tournament.Players.Count >= tournament.MaxPlayers)
+                return "The tournament is full.";
+
+            var updated = tournament with { Players = tournament.Players.Append(player).ToArray() };
+            _tournamentsById[tournamentId] = updated;
+            return updated;
+        }
+    }
+
+    public Result<Tournament> Withdraw(string tournamentId, string player)
+    {
+        if (string.IsNullOrWhiteSpace(tournamentId))
+            return "Tournament id is required.";
+
+        if (string.IsNullOrWhiteSpace(player))
+            return "Player is required.";
+
+        lock (_lock)
+        {
+            if (!_tournamentsById.TryGetValue(tournamentId, out var tournament))
+                return "Tournament not found.";
+
+            if (tournament.Status != TournamentStatus.Registering)
+                return "The tournament has already started.";
+
+            var updated = tournament with { Players = tournament.Players.Where(p => p != player).ToArray() };
+            _tournamentsById[tournamentId] = updated;
+            return updated;
+        }
+    }
+
+    // Seeds the players by rating, draws the pairings and starts every game that can be played.
+    public Result<Tournament> Start(string tournamentId, string player)
+    {
+        if (string.IsNullOrWhiteSpace(tournamentId))
+            return "Tournament id is required.";
+
+        lock (_lock)
+        {
+            if (!_tournamentsById.TryGetValue(tournamentId, out var tournament))
+                return "Tournament not found.";
+
+            if (tournament.Organizer != player)
+                return "Only the organizer can start the tournament.";
+
+            if (tournament.Status != TournamentStatus.Registering)
+                return "The tournament has already started.";
+
+            if (tournament.Players.Count < MinPlayers)
+                return $"At least {MinPlayers} players must register.";
+
+            // Ties keep registration order.
+            var seeded = tournament.Players
+                .Select((p, index) => (Player: p, Index: index))
+                .OrderByDescending(p => _ratings.GetRating(p.Player))
+                .ThenBy(p => p.Index)
+                .Select(p => p.Player)
+                .ToArray();
+
+            var matches = tournament.Format switch
+            {
+                TournamentFormat.RoundRobin => BuildRoundRobin(seeded, tournament.PoolCount),
+                TournamentFormat.DoubleElimination => BuildElimination(seeded, doubleElimination: true),
+                _ => BuildElimination(seeded, doubleElimination: false)
+            };
+
+            var started = Advance(tournament with
+            {
+                Status = TournamentStatus.InProgress,
+                Players = seeded,
+                StartedAt = _timeProvider.GetUtcNow()
+            }, matches);
+
+            _tournamentsById[tournamentId] = started;
+            return started;
+        }
+    }
+
+    public Result<Tournament> Get(string tournamentId)
+    {
+        if (string.IsNullOrWhiteSpace(tournamentId))
+            return "Tournament id is required.";
+
+        if (!_tournamentsById.TryGetValue(tournamentId, out var tournament))
+            return "Tournament not found.";
+
+        return tournament;
+    }
+
+    public string? GetTournamentId(string gameId)
+        => _tournamentIdByGameId.TryGetValue(gameId, out var tournamentId) ? tournamentId : null;
+
+    // Called whenever a game ends. Returns the updated tournament, or null when the game isn't
+    // part of one. Calling it again for the same game changes nothing.
+    public Tournament? RecordResult(Game game)
+    {
+        if (game.State.Status != GameStatus.Finished ||
+            !_tournamentIdByGameId.TryGetValue(game.GameId, out var tournamentId))
+            return null;
+
+        lock (_lock)
+        {
+            if (!_tournamentsById.TryGetValue(tournamentId, out var tournament))
+                return null;
+
+            var matches = tournament.Matches.ToList();
+            var index = matches.FindIndex(m =>
+                m.Status == TournamentMatchStatus.InProgress &&
+                m.GameIds.Count > 0 &&
+                m.GameIds[^1] == game.GameId);
+
+            if (index < 0)
+                return tournament;
+
+            // Cancelling a started game resigns it, so a player who walks out forfeits the match.
+            if (game.State.WinnerPlayer is { } winner)
+                Decide(matches, index, winner);
+            else if (tournament.Format == TournamentFormat.RoundRobin && game.State.IsDraw)
+                matches[index] = matches[index] with { Status = TournamentMatchStatus.Finished };
+            else if (matches[index].GameIds.Count >= MaxGamesPerMatch)
+                Decide(matches, index, HigherSeed(tournament, matches[index]));
+            else
+                // An elimination match needs a winner: play again.
+                matches[index] = matches[index] with { Status = TournamentMatchStatus.Pending };
+
+            var updated = Advance(tournament, matches);
+            _tournamentsById[tournamentId] = updated;
+            return updated;
+        }
+    }
+
+    // Best first within each pool: points, then wins, then seeding.
+    public IReadOnlyList<TournamentStanding> GetStandings(Tournament tournament)
+    {
+        if (tournament.Format != TournamentFormat.RoundRobin || tournament.Status == TournamentStatus.Registering)
+            return Array.Empty<TournamentStanding>();
+
+        return tournament.Players
+            .Select((player, seed) =>
+            {
+                var played = tournament.Matches
+                    .Where(m => m.Involves(player))
+                    .ToArray();
+
+                var finished = played.Where(m => m.Status == TournamentMatchStatus.Finished).ToArray();
+
+                var standing = new TournamentStanding(
+                    Player: player,
+                    Pool: played.Length > 0 ? played[0].Pool : 0,
+                    Wins: finished.Count(m => m.Winner == player),
+                    Draws: finished.Count(m => m.IsDraw),
+                    Losses: finished.Count(m => m.Winner is not null && m.Winner != player));
+
+                return (Standing: standing, Seed: seed);
+            })
+            .OrderBy(s => s.Standing.Pool)
+            .ThenByDescending(s => s.Standing.Points)
+            .ThenByDescending(s => s.Standing.Wins)
+            .ThenBy(s => s.Seed)
+            .Select(s => s.Standing)
+            .ToArray();
+    }
+
+    public IReadOnlyCollection<Tournament> GetAll()
+        => _tournamentsById.Values.OrderByDescending(t => t.CreatedAt).ToArray();
+
+    // Sends players through byes, starts every match whose players are both free and
+    // finishes the tournament once its last match is decided.
+    private Tournament Advance(Tournament tournament, List<TournamentMatch> matches)
+    {
+        ResolveByes(matches);
+        StartReadyMatches(tournament, matches);
+
+        var updated = tournament with { Matches = matches.ToArray() };
+
+        var isFinished = tournament.Format == TournamentFormat.RoundRobin
+            ? matches.All(m => m.Status == TournamentMatchStatus.Finished)
+            : matches[^1].Status == TournamentMatchStatus.Finished;
+
+        if (!isFinished)
+            return updated;
+
+        // The final is the last match of an elimination draw; a round robin has one winner per pool.
+        var winners = tournament.Format == TournamentFormat.RoundRobin
+            ? GetStandings(updated).GroupBy(s => s.Pool).Select(g => g.First().Player).ToArray()
+            : new[] { matches[^1].Winner! };
+
+        return updated with
+        {
+            Status = TournamentStatus.Finished,
+            Winners = winners,
+            FinishedAt = _timeProvider.GetUtcNow()
+        };
+    }
+
+    private static void ResolveByes(List<TournamentMatch> matches)
+    {
+        bool changed;
+        do
+        {
+            changed = false;
+            for (var i = 0; i < matches.Count; i++)
+            {
+                var match = matches[i];
+                if (match.Status != TournamentMatchStatus.Pending || match.HasPlayers)
+                    continue;
+
+                var sideAKnown = match.PlayerA is not null || match.ByeA;
+                var sideBKnown = match.PlayerB is not null || match.ByeB;
+                if (!sideAKnown || !sideBKnown)
+                    continue;
+
+                // At least one side is a bye; with two byes the "winner" is a bye as well.
+                Decide(matches, i, match.PlayerA ?? match.PlayerB);
+                changed = true;
+            }
+        } while (changed);
+    }
+
+    private void StartReadyMatches(Tournament tournament, List<TournamentMatch> matches)
+    {
+        var busy = matches
+            .Where(m => m.Status == TournamentMatchStatus.InProgress)
+            .SelectMany(m => new[] { m.PlayerA!, m.PlayerB! })
+            .ToHashSet(StringComparer.Ordinal);
+
+        for (var i = 0; i < matches.Count; i++)
+        {
+            var match = matches[i];
+            if (match.Status != TournamentMatchStatus.Pending ||
+                match.PlayerA is not { } playerA ||
+                match.PlayerB is not { } playerB ||
+                busy.Contains(playerA) ||
+                busy.Contains(playerB))
+                continue;
+
+            // Replays swap colours.
+            var (host, guest) = match.GameIds.Count % 2 == 0 ? (playerA, playerB) : (playerB, playerA);
+
+            var created = _games.CreateMatch(host, guest, $"{tournament.Name}: {host} vs {guest}", tournament.GameOptions, tournament.TournamentId);
+            if (created.IsFailure)
+            {
+                // Left pending; the next result in this tournament tries again.
+                _logger.LogError("Tournament {TournamentId} could not start {Host} vs {Guest}: {Error}",
+                    tournament.TournamentId, host, guest, created.Error);
+                continue;
+            }
+
+            _tournamentIdByGameId[created.Value!.GameId] = tournament.TournamentId;
+            matches[i] = match with
+            {
+                Status = TournamentMatchStatus.InProgress,
+                GameIds = match.GameIds.Append(created.Value.GameId).ToArray()
+            };
+
+            busy.Add(playerA);
+            busy.Add(playerB);
+        }
+    }
+
+    // Finishes the match and moves both players on; a null player travels as a bye.
+    private static void Decide(List<TournamentMatch> matches, int index, string? winner)
+    {
+        var match = matches[index];
+        var loser = winner is not null && match.PlayerA == winner ? match.PlayerB : match.PlayerA;
+        if (winner is null)
+            loser = null;
+
+        matches[index] = match with { Status = TournamentMatchStatus.Finished, Winner = winner };
+
+        if (match.WinnerTo is { } winnerTo)
+            Place(matches, winnerTo, match.WinnerSlot, winner);
+        if (match.LoserTo is { } loserTo)
+            Place(matches, loserTo, match.LoserSlot, loser);
+
+        // The unbeaten winners-bracket champion won the grand final: the deciding rematch isn't needed.
+        if (match is { Bracket: TournamentBracket.GrandFinal, Round: 1, WinnerTo: { } reset } &&
+            winner is not null && winner == match.PlayerA)
+        {
+            var resetIndex = matches.FindIndex(m => m.MatchId == reset);
+            matches[resetIndex] = matches[resetIndex] with { Status = TournamentMatchStatus.Finished, Winner = winner };
+        }
+    }
+
+    // Players are kept in seeding order once the tournament starts.
+    private static string HigherSeed(Tournament tournament, TournamentMatch match)
+    {
+        foreach (var player in tournament.Players)
+        {
+            if (match.Involves(player))
+                return player;
+        }
+
+        return match.PlayerA!;
+    }
+
+    private static void Place(List<TournamentMatch> matches, string matchId, int slot, string? player)
+    {
+        var index = matches.FindIndex(m => m.MatchId == matchId);
+        matches[index] = slot == 0
+            ? matches[index] with { PlayerA = player, ByeA = player is null }
+            : matches[index] with { PlayerB = player, ByeB = player is null };
+    }
+
+    // The draw is padded to a power of two with byes, which go to the best seeds. In double
+    // elimination, losers drop into the losers bracket; its odd rounds pair the survivors and its
+    // even rounds bring in the players who just lost in the winners bracket.
+    private static List<TournamentMatch> BuildElimination(IReadOnlyList<string> seeded, bool doubleElimination)
+    {
+        var size = 2;
+        var rounds = 1;
+        while (size < seeded.Count)
+        {
+            size *= 2;
+            rounds++;
+        }
+
+        var seedOrder = SeedOrder(size);
+        string? PlayerAt(int seed) => seed <= seeded.Count ? seeded[seed - 1] : null;
+
+        var matches = new List<TournamentMatch>();
+
+        for (var round = 1; round <= rounds; round++)
+        {
+            var count = size >> round;
+            for (var i = 0; i < count; i++)
+            {
+                var match = new TournamentMatch(WinnersId(round, i), TournamentBracket.Winners, round, i);
+
+                if (round < rounds)
+                    match = match with { WinnerTo = WinnersId(round + 1, i / 2), WinnerSlot = i % 2 };
+                else if (doubleElimination)
+                    match = match with { WinnerTo = GrandFinalId(1), WinnerSlot = 0 };
+
+                if (round == 1)
+                {
+                    var seedA = seedOrder[2 * i];
+                    var seedB = seedOrder[2 * i + 1];
+                    match = match with
+                    {
+                        PlayerA = PlayerAt(seedA),
+                        ByeA = seedA > seeded.Count,
+                        PlayerB = PlayerAt(seedB),
+                        ByeB = seedB > seeded.Count
+                    };
+                }
+
+                if (doubleElimination)
+                {
+                    // Alternating the drop-in order keeps early opponents apart for a while.
+                    if (rounds == 1)
+                        match = match with { LoserTo = GrandFinalId(1), LoserSlot = 1 };
+                    else if (round == 1)
+                        match = match with { LoserTo = LosersId(1, i / 2), LoserSlot = i % 2 };
+                    else
+                        match = match with { LoserTo = LosersId(2 * (round - 1), round % 2 == 0 ? count - 1 - i : i), LoserSlot = 1 };
+                }
+
+                matches.Add(match);
+            }
+        }
+
+        if (!doubleElimination)
+            return matches;
+
+        var losersRounds = 2 * (rounds - 1);
+        for (var round = 1; round <= losersRounds; round++)
+        {
+            var count = size >> ((round + 3) / 2);
+            for (var i = 0; i < count; i++)
+            {
+                var match = new TournamentMatch(LosersId(round, i), TournamentBracket.Losers, round, i);
+
+                match = round == losersRounds
+                    ? match with { WinnerTo = GrandFinalId(1), WinnerSlot = 1 }
+                    : round % 2 == 1
+                        ? match with { WinnerTo = LosersId(round + 1, i), WinnerSlot = 0 }
+                        : match with { WinnerTo = LosersId(round + 1, i / 2), WinnerSlot = i % 2 };
+
+                matches.Add(match);
+            }
+        }
+
+        // If the losers-bracket champion wins the grand final, both have lost once and play again.
+        matches.Add(new TournamentMatch(GrandFinalId(1), TournamentBracket.GrandFinal, 1, 0)
+        {
+            WinnerTo = GrandFinalId(2),
+            WinnerSlot = 0,
+            LoserTo = GrandFinalId(2),
+            LoserSlot = 1
+        });
+        matches.Add(new TournamentMatch(GrandFinalId(2), TournamentBracket.GrandFinal, 2, 0));
+
+        return matches;
+    }
+
+    // Pools are filled in snake order so their strength stays even (1 2 3 | 6 5 4 | 7 8 9 ...).
+    // Within a pool the circle method gives everyone one game per round.
+    private static List<TournamentMatch> BuildRoundRobin(IReadOnlyList<string> seeded, int poolCount)
+    {
+        poolCount = Math.Min(poolCount, seeded.Count / MinPlayers);
+
+        var pools = Enumerable.Range(0, poolCount).Select(_ => new List<string?>()).ToList();
+        for (var i = 0; i < seeded.Count; i++)
+        {
+            var row = i / poolCount;
+            var column = i % poolCount;
+            pools[row % 2 == 0 ? column : poolCount - 1 - column].Add(seeded[i]);
+        }
+
+        var matches = new List<TournamentMatch>();
+
+        for (var pool = 0; pool < poolCount; pool++)
+        {
+            // With an odd count, whoever is paired with the null slot sits the round out.
+            var players = pools[pool];
+            if (players.Count % 2 == 1)
+                players.Add(null);
+
+            var n = players.Count;
+            for (var round = 1; round < n; round++)
+            {
+                var position = 0;
+                for (var i = 0; i < n / 2; i++)
+                {
+                    var playerA = players[i];
+                    var playerB = players[n - 1 - i];
+                    if (playerA is null || playerB is null)
+                        continue;
+
+                    if ((round + i) % 2 == 0)
+                        (playerA, playerB) = (playerB, playerA);
+
+                    matches.Add(new TournamentMatch($"P{pool + 1}-R{round}-{position + 1}", TournamentBracket.Winners, round, position)
+                    {
+                        Pool = pool,
+                        PlayerA = playerA,
+                        PlayerB = playerB
+                    });
+                    position++;
+                }
+
+                // The first player stays put; everyone else moves one place round.
+                var last = players[n - 1];
+                players.RemoveAt(n - 1);
+                players.Insert(1, last);
+            }
+        }
+
+        return matches;
+    }
+
+    // Standard bracket order, so seeds 1 and 2 can only meet in the final: 1 4 2 3 for four players.
+    private static int[] SeedOrder(int size)
+    {
+        var order = new List<int> { 1 };
+        while (order.Count < size)
+        {
+            var sum = order.Count * 2 + 1;
+            order = order.SelectMany(seed => new[] { seed, sum - seed }).ToList();
+        }
+
+        return order.ToArray();
+    }
+
+    private static string WinnersId(int round, int position) => $"W{round}-{position + 1}";
+
+    private static string LosersId(int round, int position) => $"L{round}-{position + 1}";
+
+    private static string GrandFinalId(int round) => $"GF{round}";
+}
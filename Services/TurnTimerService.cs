@@ -0,0 +1,52 @@
+using TicTacToeGame.Hubs;
+
+namespace TicTacToeGame.Services;
+
+// Watches running games once a second and forfeits players whose move time ran out.
+public sealed class TurnTimerService : BackgroundService
+{
+    private static readonly TimeSpan TickInterval = TimeSpan.FromSeconds(1);
+
+    private readonly IGames _games;
+    private readonly IGameBroadcaster _broadcaster;
+    private readonly ITournaments _tournaments;
+    private readonly ILogger<TurnTimerService> _logger;
+
+    public TurnTimerService(IGames games, IGameBroadcaster broadcaster, ITournaments tournaments, ILogger<TurnTimerService> logger)
+    {
+        _games = games;
+        _broadcaster = broadcaster;
+        _tournaments = tournaments;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(TickInterval);
+
+        while (await timer.WaitForNextTickAsync(stoppingToken))
+        {
+            try
+            {
+                var forfeited = _games.ForfeitExpiredTurns();
+                if (forfeited.Count == 0)
+                    continue;
+
+                foreach (var game in forfeited)
+                {
+                    await _broadcaster.GameUpdatedAsync(game.GameId);
+
+                    if (_tournaments.RecordResult(game) is { } tournament)
+                        await _broadcaster.TournamentUpdatedAsync(tournament.TournamentId);
+                }
+
+                await _broadcaster.LobbyUpdatedAsync();
+            }
+            catch (Exception ex)
+            {
+                // Keep ticking: one failed broadcast must not stop every other game's timer.
+                _logger.LogError(ex, "Turn timer tick failed.");
+            }
+        }
+    }
+}
@@ -0,0 +1,113 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Ultimate tic-tac-toe: nine 3x3 sub-boards laid out as a 3x3 meta-board. The board array is the
+// full 9x9 grid row by row, so cell (row, col) sits in sub-board (row / 3, col / 3). Taking a
+// sub-board claims its square of the meta-board, and three claimed squares in a row win.
+// The cell played inside a sub-board sends the opponent to the matching sub-board, unless that
+// one is already won or full; then any open sub-board will do.
+public sealed class UltimateRules : IGameRules
+{
+    public const int BoardSize = 9;
+    public const int WinLength = 3;
+
+    private const int SubSize = 3;
+    private const int SubBoardCount = SubSize * SubSize;
+
+    public static int SubBoardOf(int cellIndex)
+        => cellIndex / BoardSize / SubSize * SubSize + cellIndex % BoardSize / SubSize;
+
+    public static int PositionInSubBoard(int cellIndex)
+        => cellIndex / BoardSize % SubSize * SubSize + cellIndex % BoardSize % SubSize;
+
+    public static int CellIndex(int subBoard, int position)
+        => (subBoard / SubSize * SubSize + position / SubSize) * BoardSize + subBoard % SubSize * SubSize + position % SubSize;
+
+    // X or O once the sub-board has a line; Empty while it is open or when it filled up without one.
+    public static Cell SubBoardWinner(Cell[] board, int subBoard)
+    {
+        var cells = SubBoard(board, subBoard);
+
+        if (BoardRules.HasLine(cells, SubSize, SubSize, Cell.X))
+            return Cell.X;
+
+        if (BoardRules.HasLine(cells, SubSize, SubSize, Cell.O))
+            return Cell.O;
+
+        return Cell.Empty;
+    }
+
+    public static bool IsClosed(Cell[] board, int subBoard)
+        => SubBoardWinner(board, subBoard) != Cell.Empty || BoardRules.IsFull(SubBoard(board, subBoard));
+
+    public static Cell[] MetaBoard(Cell[] board)
+        => Enumerable.Range(0, SubBoardCount).Select(s => SubBoardWinner(board, s)).ToArray();
+
+    // The sub-board the next move must go in; null when any open sub-board is allowed.
+    public static int? ActiveSubBoard(Cell[] board, IReadOnlyList<Move> moves)
+    {
+        if (moves.Count == 0)
+            return null;
+
+        var target = PositionInSubBoard(moves[^1].CellIndex);
+        return IsClosed(board, target) ? null : target;
+    }
+
+    public static bool IsLegalMove(Cell[] board, IReadOnlyList<Move> moves, int cellIndex)
+    {
+        if (board[cellIndex] != Cell.Empty)
+            return false;
+
+        var subBoard = SubBoardOf(cellIndex);
+        if (IsClosed(board, subBoard))
+            return false;
+
+        return ActiveSubBoard(board, moves) is not { } active || active == subBoard;
+    }
+
+    public static IEnumerable<int> LegalMoves(Cell[] board, IReadOnlyList<Move> moves)
+        => BoardRules.EmptyCells(board).Where(cell => IsLegalMove(board, moves, cell));
+
+    // Checked after the mark is placed: it must take its sub-board and complete a meta-board line.
+    public static bool IsWinningMove(Cell[] board, int cellIndex)
+    {
+        var mark = board[cellIndex];
+        var subBoard = SubBoardOf(cellIndex);
+
+        if (mark == Cell.Empty || SubBoardWinner(board, subBoard) != mark)
+            return false;
+
+        return BoardRules.IsWinningMove(MetaBoard(board), SubSize, WinLength, subBoard);
+    }
+
+    // Every sub-board is won or full, so nobody can move.
+    public static bool IsBlocked(Cell[] board)
+        => Enumerable.Range(0, SubBoardCount).All(s => IsClosed(board, s));
+
+    public GameVariant Variant => GameVariant.Ultimate;
+
+    public (int BoardSize, int WinLength)? FixedDimensions => (BoardSize, WinLength);
+
+    public int CellCountFor(int boardSize, int rows) => BoardSize * BoardSize;
+
+    public bool PlayersChooseMark => false;
+
+    public Cell MarkFor(bool isHost) => isHost ? Cell.X : Cell.O;
+
+    public string Describe(int boardSize, int rows, int winLength) => "Ultimate: nine 3×3 boards, win three boards in a row";
+
+    public Result CheckMove(GameState state, int cellIndex)
+        => IsLegalMove(state.Board, state.Moves, cellIndex) ? Result.Success() : "Play in the highlighted board.";
+
+    public MoveOutcome Judge(Cell[] board, int boardSize, int winLength, int cellIndex)
+    {
+        if (IsWinningMove(board, cellIndex))
+            return MoveOutcome.MoverWins;
+
+        return IsBlocked(board) ? MoveOutcome.Draw : MoveOutcome.Continue;
+    }
+
+    private static Cell[] SubBoard(Cell[] board, int subBoard)
+        => Enumerable.Range(0, SubBoardCount).Select(p => board[CellIndex(subBoard, p)]).ToArray();
+}
@@ -0,0 +1,31 @@
+using TicTacToeGame.Models;
+
+namespace TicTacToeGame.Services;
+
+// Both players may place X or O on every move; completing a line of either mark wins.
+public sealed class WildRules : IGameRules
+{
+    public GameVariant Variant => GameVariant.Wild;
+
+    public (int BoardSize, int WinLength)? FixedDimensions => null;
+
+    public int CellCountFor(int boardSize, int rows) => boardSize * rows;
+
+    public bool PlayersChooseMark => true;
+
+    // Only used when a move arrives without a mark.
+    public Cell MarkFor(bool isHost) => isHost ? Cell.X : Cell.O;
+
+    public string Describe(int boardSize, int rows, int winLength) => $"Wild: {boardSize}×{rows}, {winLength} X or O in a row";
+
+    public Result CheckMove(GameState state, int cellIndex) => Result.Success();
+
+    // The line only has to match the mark just placed, whoever placed the earlier ones.
+    public MoveOutcome Judge(Cell[] board, int boardSize, int winLength, int cellIndex)
+    {
+        if (BoardRules.IsWinningMove(board, boardSize, winLength, cellIndex))
+            return MoveOutcome.MoverWins;
+
+        return BoardRules.IsFull(board) ? MoveOutcome.Draw : MoveOutcome.Continue;
+    }
+}
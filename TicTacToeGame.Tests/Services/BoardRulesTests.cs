@@ -0,0 +1,101 @@
+using Microsoft.Extensions.Time.Testing;
+using TicTacToeGame.Models;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Tests.Services;
+
+// Gravity games on Connect Four's board: 7 columns, 6 rows.
+public sealed class BoardRulesTests
+{
+    private const int Columns = 7;
+    private const int Rows = 6;
+
+    [Fact]
+    public void LandingCell_DropsIntoTheLowestEmptyCell()
+    {
+        var board = new Cell[Columns * Rows];
+
+        Assert.Equal(38, BoardRules.LandingCell(board, Columns, 3));
+
+        board[38] = Cell.X;
+        Assert.Equal(31, BoardRules.LandingCell(board, Columns, 3));
+    }
+
+    [Fact]
+    public void LandingCell_IsNullForAFullColumn()
+    {
+        var board = new Cell[Columns * Rows];
+        for (var row = 0; row < Rows; row++)
+            board[row * Columns] = Cell.O;
+
+        Assert.Null(BoardRules.LandingCell(board, Columns, 0));
+        Assert.DoesNotContain(0, BoardRules.PlayableCells(board, Columns, gravity: true));
+        Assert.Equal(Columns - 1, BoardRules.PlayableCells(board, Columns, gravity: true).Count());
+    }
+
+    [Theory]
+    [InlineData(35, 1)]
+    [InlineData(38, -Columns)]
+    [InlineData(35, -Columns + 1)]
+    [InlineData(41, -Columns - 1)]
+    public void IsWinningMove_FindsFourInARowOnARectangularBoard(int start, int step)
+    {
+        var board = new Cell[Columns * Rows];
+        for (var k = 0; k < 4; k++)
+            board[start + k * step] = Cell.X;
+
+        Assert.True(BoardRules.IsWinningMove(board, Columns, 4, start + 3 * step));
+    }
+
+    [Fact]
+    public void IsWinningMove_DoesNotWrapFromOneRowIntoTheNext()
+    {
+        var board = new Cell[Columns * Rows];
+        foreach (var cell in new[] { 5, 6, 7, 8 })
+            board[cell] = Cell.X;
+
+        Assert.False(BoardRules.IsWinningMove(board, Columns, 4, 8));
+    }
+
+    [Fact]
+    public void ValidateDimensions_AcceptsRectangularBoards()
+    {
+        Assert.True(BoardRules.ValidateDimensions(Columns, 4, Rows).IsSuccess);
+        Assert.True(BoardRules.ValidateDimensions(Columns, 4, BoardRules.MaxBoardSize + 1).IsFailure);
+    }
+
+    [Fact]
+    public void MakeMove_DropsTheMarkToTheBottomOfTheColumnPlayed()
+    {
+        var (games, game) = StartGravityGame();
+
+        Assert.Equal(Columns * Rows, game.State.Board.Length);
+
+        // Any cell of the column plays it.
+        var state = games.MakeMove(game.GameId, "Alice", 3).Value!.State;
+        Assert.Equal(38, state.Moves[^1].CellIndex);
+
+        state = games.MakeMove(game.GameId, "Bob", 38).Value!.State;
+        Assert.Equal(31, state.Moves[^1].CellIndex);
+    }
+
+    [Fact]
+    public void MakeMove_RefusesAFullColumn()
+    {
+        var (games, game) = StartGravityGame();
+
+        // Alternating marks in one column never make four.
+        for (var row = 0; row < Rows; row++)
+            Assert.True(games.MakeMove(game.GameId, row % 2 == 0 ? "Alice" : "Bob", 0).IsSuccess);
+
+        Assert.Equal("Column is full.", games.MakeMove(game.GameId, "Alice", 0).Error);
+    }
+
+    private static (Games Games, Game Game) StartGravityGame()
+    {
+        var games = new Games(new FakeTimeProvider(new DateTimeOffset(2026, 1, 1, 12, 0, 0, TimeSpan.Zero)), new Ratings(), new InMemoryGameStore());
+        var created = games.CreateGame("Alice", "Four", new CreateGameOptions { BoardSize = Columns, BoardRows = Rows, WinLength = 4, Gravity = true });
+        Assert.True(created.IsSuccess, created.Error);
+        return (games, games.JoinGame(created.Value!.GameId, "Bob").Value!);
+    }
+}
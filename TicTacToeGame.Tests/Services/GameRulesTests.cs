@@ -0,0 +1,109 @@
+using Microsoft.Extensions.Time.Testing;
+using TicTacToeGame.Models;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Tests.Services;
+
+public sealed class GameRulesTests
+{
+    private static readonly Cell[] TopRowOfX =
+    [
+        Cell.X, Cell.X, Cell.X,
+        Cell.O, Cell.O, Cell.Empty,
+        Cell.Empty, Cell.Empty, Cell.Empty
+    ];
+
+    [Theory]
+    [InlineData(GameVariant.Classic, MoveOutcome.MoverWins)]
+    [InlineData(GameVariant.Wild, MoveOutcome.MoverWins)]
+    [InlineData(GameVariant.Misere, MoveOutcome.MoverLoses)]
+    [InlineData(GameVariant.Notakto, MoveOutcome.MoverLoses)]
+    public void Judge_ScoresACompletedLineByVariant(GameVariant variant, MoveOutcome expected)
+    {
+        Assert.Equal(expected, GameRules.For(variant).Judge(TopRowOfX, 3, 3, 2));
+    }
+
+    [Theory]
+    [InlineData(GameVariant.Classic)]
+    [InlineData(GameVariant.Misere)]
+    [InlineData(GameVariant.Wild)]
+    public void Judge_CallsAFullBoardWithoutALineADraw(GameVariant variant)
+    {
+        Cell[] board =
+        [
+            Cell.X, Cell.O, Cell.X,
+            Cell.X, Cell.O, Cell.O,
+            Cell.O, Cell.X, Cell.X
+        ];
+
+        Assert.Equal(MoveOutcome.Draw, GameRules.For(variant).Judge(board, 3, 3, 8));
+    }
+
+    [Fact]
+    public void Judge_CountsAWildLineOfEitherMark()
+    {
+        Cell[] board =
+        [
+            Cell.O, Cell.X, Cell.Empty,
+            Cell.X, Cell.O, Cell.Empty,
+            Cell.Empty, Cell.Empty, Cell.O
+        ];
+
+        Assert.Equal(MoveOutcome.MoverWins, GameRules.For(GameVariant.Wild).Judge(board, 3, 3, 8));
+    }
+
+    [Fact]
+    public void MarkFor_GivesBothNotaktoPlayersX()
+    {
+        var rules = GameRules.For(GameVariant.Notakto);
+
+        Assert.Equal(Cell.X, rules.MarkFor(isHost: true));
+        Assert.Equal(Cell.X, rules.MarkFor(isHost: false));
+        Assert.False(rules.PlayersChooseMark);
+        Assert.True(GameRules.For(GameVariant.Wild).PlayersChooseMark);
+    }
+
+    [Fact]
+    public void MakeMove_AwardsAMisereGameToTheOpponentOfWhoeverCompletesALine()
+    {
+        var games = NewGames();
+        var game = Start(games, GameVariant.Misere);
+
+        foreach (var (player, cell) in new[] { ("Alice", 0), ("Bob", 3), ("Alice", 1), ("Bob", 4), ("Alice", 2) })
+            Assert.True(games.MakeMove(game.GameId, player, cell).IsSuccess);
+
+        var finished = games.GetGame(game.GameId).Value!;
+        Assert.Equal(GameStatus.Finished, finished.State.Status);
+        Assert.Equal("Bob", finished.State.WinnerPlayer);
+    }
+
+    [Fact]
+    public void MakeMove_OnlyLetsWildPlayersPickTheirMark()
+    {
+        var games = NewGames();
+        var wild = Start(games, GameVariant.Wild);
+        var classic = Start(games, GameVariant.Classic);
+
+        Assert.Equal(Cell.O, games.MakeMove(wild.GameId, "Alice", 0, Cell.O).Value!.State.Board[0]);
+        Assert.Equal("You can't choose your mark in this game.", games.MakeMove(classic.GameId, "Alice", 0, Cell.O).Error);
+    }
+
+    [Theory]
+    [InlineData(GameVariant.Ultimate, 9, 3)]
+    [InlineData(GameVariant.Qubic, 4, 4)]
+    public void Dimensions_IgnoresTheRequestedBoardForVariantsWithTheirOwn(GameVariant variant, int boardSize, int winLength)
+    {
+        Assert.Equal((boardSize, boardSize, winLength), GameRules.Dimensions(variant, 5, 7, 5));
+        Assert.False(GameRules.AllowsGravity(variant));
+    }
+
+    private static Games NewGames()
+        => new(new FakeTimeProvider(new DateTimeOffset(2026, 1, 1, 12, 0, 0, TimeSpan.Zero)), new Ratings(), new InMemoryGameStore());
+
+    private static Game Start(Games games, GameVariant variant)
+    {
+        var created = games.CreateGame("Alice", variant.ToString(), new CreateGameOptions { Variant = variant });
+        Assert.True(created.IsSuccess, created.Error);
+        return games.JoinGame(created.Value!.GameId, "Bob").Value!;
+    }
+}
@@ -0,0 +1,169 @@
+using Microsoft.Extensions.Time.Testing;
+using TicTacToeGame.Models;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Tests.Services;
+
+public sealed class GamesTakeBackTests
+{
+    private readonly FakeTimeProvider _time = new(new DateTimeOffset(2026, 1, 1, 12, 0, 0, TimeSpan.Zero));
+    private readonly Games _games;
+
+    public GamesTakeBackTests()
+    {
+        _games = new Games(_time, new Ratings(), new InMemoryGameStore());
+    }
+
+    [Fact]
+    public void RespondToUndo_RemovesTheRequestersLastMove()
+    {
+        var game = StartCasualGame();
+        Play(game, ("Alice", 0), ("Bob", 4), ("Alice", 8));
+
+        Assert.Equal("Alice", _games.RequestUndo(game.GameId, "Alice").Value!.UndoRequestedBy);
+        var state = _games.RespondToUndo(game.GameId, "Bob", accept: true).Value!.State;
+
+        Assert.Equal(new[] { 0, 4 }, state.Moves.Select(m => m.CellIndex));
+        Assert.Equal(Cell.Empty, state.Board[8]);
+        Assert.Equal("Alice", state.NextTurnPlayer);
+    }
+
+    [Fact]
+    public void RespondToUndo_AlsoRemovesTheReplyToTheRequestersMove()
+    {
+        var game = StartCasualGame();
+        Play(game, ("Alice", 0), ("Bob", 4), ("Alice", 8));
+
+        _games.RequestUndo(game.GameId, "Bob");
+        var state = _games.RespondToUndo(game.GameId, "Alice", accept: true).Value!.State;
+
+        Assert.Equal(new[] { 0 }, state.Moves.Select(m => m.CellIndex));
+        Assert.Equal(new[] { Cell.X, Cell.Empty, Cell.Empty, Cell.Empty, Cell.Empty, Cell.Empty, Cell.Empty, Cell.Empty, Cell.Empty }, state.Board);
+        Assert.Equal("Bob", state.NextTurnPlayer);
+    }
+
+    [Fact]
+    public void RespondToUndo_KeepsTheBoardWhenDeclined()
+    {
+        var game = StartCasualGame();
+        Play(game, ("Alice", 0), ("Bob", 4));
+
+        _games.RequestUndo(game.GameId, "Alice");
+        var declined = _games.RespondToUndo(game.GameId, "Bob", accept: false).Value!;
+
+        Assert.Null(declined.UndoRequestedBy);
+        Assert.Equal(2, declined.State.Moves.Count);
+    }
+
+    [Fact]
+    public void RespondToUndo_RebuildsTheBoardFromTheMarksPlayed()
+    {
+        var game = StartCasualGame(new CreateGameOptions { IsCasual = true, Variant = GameVariant.Wild });
+        Assert.True(_games.MakeMove(game.GameId, "Alice", 0, Cell.O).IsSuccess);
+        Assert.True(_games.MakeMove(game.GameId, "Bob", 4, Cell.O).IsSuccess);
+        Assert.True(_games.MakeMove(game.GameId, "Alice", 8, Cell.X).IsSuccess);
+
+        _games.RequestUndo(game.GameId, "Bob");
+        var state = _games.RespondToUndo(game.GameId, "Alice", accept: true).Value!.State;
+
+        Assert.Equal(Cell.O, state.Board[0]);
+        Assert.Equal(Cell.Empty, state.Board[4]);
+        Assert.Equal(Cell.Empty, state.Board[8]);
+    }
+
+    [Fact]
+    public void RespondToUndo_LiftsTheTopMarkOfAGravityColumn()
+    {
+        var game = StartCasualGame(new CreateGameOptions { IsCasual = true, BoardSize = 7, BoardRows = 6, WinLength = 4, Gravity = true });
+        Play(game, ("Alice", 3), ("Bob", 3), ("Alice", 3));
+
+        _games.RequestUndo(game.GameId, "Alice");
+        var state = _games.RespondToUndo(game.GameId, "Bob", accept: true).Value!.State;
+
+        Assert.Equal(Cell.X, state.Board[38]);
+        Assert.Equal(Cell.O, state.Board[31]);
+        Assert.Equal(Cell.Empty, state.Board[24]);
+    }
+
+    [Fact]
+    public void RequestUndo_IsAgreedAtOnceByTheComputer()
+    {
+        var created = _games.CreateGame("Alice", "Practice", new CreateGameOptions { ComputerDifficulty = ComputerDifficulty.Easy });
+        var game = created.Value!;
+        Play(game, ("Alice", 0), (game.ComputerPlayerName!, 4));
+
+        var undone = _games.RequestUndo(game.GameId, "Alice").Value!;
+
+        Assert.Null(undone.UndoRequestedBy);
+        Assert.Empty(undone.State.Moves);
+        Assert.Equal("Alice", undone.State.NextTurnPlayer);
+    }
+
+    [Fact]
+    public void RequestUndo_IsRefusedInRatedGames()
+    {
+        var game = StartCasualGame(new CreateGameOptions());
+        Play(game, ("Alice", 0));
+
+        Assert.Equal("Take-backs are off in rated games.", _games.RequestUndo(game.GameId, "Alice").Error);
+    }
+
+    [Fact]
+    public void RequestUndo_IsRefusedInGamesWithAClock()
+    {
+        var game = StartCasualGame(new CreateGameOptions { IsCasual = true, ClockInitialSeconds = 60 });
+        Play(game, ("Alice", 0));
+
+        Assert.Equal("Take-backs are off in games with a clock.", _games.RequestUndo(game.GameId, "Alice").Error);
+    }
+
+    [Fact]
+    public void RequestUndo_NeedsAMoveOfYourOwn()
+    {
+        var game = StartCasualGame();
+        Play(game, ("Alice", 0));
+
+        Assert.Equal("You have no move to take back.", _games.RequestUndo(game.GameId, "Bob").Error);
+    }
+
+    [Fact]
+    public void RespondToUndo_CannotBeAnsweredByTheRequester()
+    {
+        var game = StartCasualGame();
+        Play(game, ("Alice", 0));
+        _games.RequestUndo(game.GameId, "Alice");
+
+        Assert.Equal("Only the opponent can answer a take-back.", _games.RespondToUndo(game.GameId, "Alice", accept: true).Error);
+    }
+
+    [Fact]
+    public void MakeMove_AnswersAPendingTakeBackWithANo()
+    {
+        var game = StartCasualGame();
+        Play(game, ("Alice", 0));
+        _games.RequestUndo(game.GameId, "Alice");
+
+        Play(game, ("Bob", 4));
+
+        Assert.Null(_games.GetGame(game.GameId).Value!.UndoRequestedBy);
+    }
+
+    private Game StartCasualGame(CreateGameOptions? options = null)
+    {
+        var created = _games.CreateGame("Alice", "Friendly", options ?? new CreateGameOptions { IsCasual = true });
+        Assert.True(created.IsSuccess, created.Error);
+
+        var joined = _games.JoinGame(created.Value!.GameId, "Bob");
+        Assert.True(joined.IsSuccess, joined.Error);
+        return joined.Value!;
+    }
+
+    private void Play(Game game, params (string Player, int Cell)[] moves)
+    {
+        foreach (var (player, cell) in moves)
+        {
+            var result = _games.MakeMove(game.GameId, player, cell);
+            Assert.True(result.IsSuccess, result.Error);
+        }
+    }
+}
@@ -0,0 +1,90 @@
+using Microsoft.Extensions.Time.Testing;
+using TicTacToeGame.Models;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Tests.Services;
+
+public sealed class GamesTimeoutTests
+{
+    private readonly FakeTimeProvider _time = new(new DateTimeOffset(2026, 1, 1, 12, 0, 0, TimeSpan.Zero));
+    private readonly Games _games;
+
+    public GamesTimeoutTests()
+    {
+        _games = new Games(_time, new Ratings(), new InMemoryGameStore());
+    }
+
+    [Fact]
+    public void ForfeitExpiredTurns_LeavesGamesWithinTheMoveLimit()
+    {
+        var game = StartGame(new CreateGameOptions { MoveTimeLimitSeconds = 10 });
+
+        _time.Advance(TimeSpan.FromSeconds(10));
+
+        Assert.Empty(_games.ForfeitExpiredTurns());
+        Assert.Equal(GameStatus.InProgress, _games.GetGame(game.GameId).Value!.State.Status);
+    }
+
+    [Fact]
+    public void ForfeitExpiredTurns_GivesTheGameToTheOpponentWhenTheMoveLimitRunsOut()
+    {
+        var game = StartGame(new CreateGameOptions { MoveTimeLimitSeconds = 10 });
+
+        _time.Advance(TimeSpan.FromSeconds(11));
+        var forfeited = Assert.Single(_games.ForfeitExpiredTurns());
+
+        Assert.Equal(game.GameId, forfeited.GameId);
+        Assert.Equal(GameStatus.Finished, forfeited.State.Status);
+        Assert.Equal(GameEndReason.Timeout, forfeited.State.EndReason);
+        Assert.Equal("Bob", forfeited.State.WinnerPlayer);
+        Assert.Null(forfeited.State.NextTurnPlayer);
+    }
+
+    [Fact]
+    public void ForfeitExpiredTurns_ChargesTheClockOfThePlayerWhoRanOut()
+    {
+        var game = StartGame(new CreateGameOptions { ClockInitialSeconds = 60, ClockIncrementSeconds = 5 });
+
+        _time.Advance(TimeSpan.FromSeconds(20));
+        Assert.True(_games.MakeMove(game.GameId, "Alice", 0).IsSuccess);
+
+        _time.Advance(TimeSpan.FromSeconds(61));
+        var forfeited = Assert.Single(_games.ForfeitExpiredTurns());
+
+        Assert.Equal("Alice", forfeited.State.WinnerPlayer);
+        Assert.Equal(TimeSpan.Zero, forfeited.State.ClockRemaining["Bob"]);
+        Assert.Equal(TimeSpan.FromSeconds(45), forfeited.State.ClockRemaining["Alice"]);
+    }
+
+    [Fact]
+    public void ForfeitExpiredTurns_ReportsEachGameOnce()
+    {
+        StartGame(new CreateGameOptions { MoveTimeLimitSeconds = 10 });
+
+        _time.Advance(TimeSpan.FromSeconds(11));
+        Assert.Single(_games.ForfeitExpiredTurns());
+
+        _time.Advance(TimeSpan.FromSeconds(11));
+        Assert.Empty(_games.ForfeitExpiredTurns());
+    }
+
+    [Fact]
+    public void MakeMove_RefusesAMoveAfterTheDeadline()
+    {
+        var game = StartGame(new CreateGameOptions { MoveTimeLimitSeconds = 10 });
+
+        _time.Advance(TimeSpan.FromSeconds(11));
+
+        Assert.Equal("Time is up.", _games.MakeMove(game.GameId, "Alice", 0).Error);
+    }
+
+    private Game StartGame(CreateGameOptions options)
+    {
+        var created = _games.CreateGame("Alice", "Timed", options);
+        Assert.True(created.IsSuccess, created.Error);
+
+        var joined = _games.JoinGame(created.Value!.GameId, "Bob");
+        Assert.True(joined.IsSuccess, joined.Error);
+        return joined.Value!;
+    }
+}
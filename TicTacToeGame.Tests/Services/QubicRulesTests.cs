@@ -0,0 +1,66 @@
+using TicTacToeGame.Models;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Tests.Services;
+
+public sealed class QubicRulesTests
+{
+    private readonly QubicRules _rules = new();
+
+    [Fact]
+    public void Lines_HasAllSeventySixWinningLinesOnce()
+    {
+        Assert.Equal(76, QubicRules.Lines.Count);
+        Assert.Equal(76, QubicRules.Lines.Select(line => string.Join(",", line.Order())).Distinct().Count());
+    }
+
+    [Theory]
+    [InlineData(0, 0, 0, 7)]
+    [InlineData(1, 1, 1, 7)]
+    [InlineData(0, 0, 1, 4)]
+    public void LinesThrough_CountsTheLinesPassingACell(int layer, int row, int col, int expected)
+    {
+        Assert.Equal(expected, QubicRules.LinesThrough[QubicRules.CellIndex(layer, row, col)].Length);
+    }
+
+    [Fact]
+    public void Judge_WinsAlongAColumnThroughTheLayers()
+    {
+        var board = new Cell[QubicRules.CellCount];
+        for (var layer = 0; layer < QubicRules.Size; layer++)
+            board[QubicRules.CellIndex(layer, 2, 1)] = Cell.O;
+
+        Assert.Equal(MoveOutcome.MoverWins, _rules.Judge(board, 4, 4, QubicRules.CellIndex(3, 2, 1)));
+    }
+
+    [Fact]
+    public void Judge_WinsAlongASpaceDiagonal()
+    {
+        var board = new Cell[QubicRules.CellCount];
+        for (var k = 0; k < QubicRules.Size; k++)
+            board[QubicRules.CellIndex(k, 3 - k, k)] = Cell.X;
+
+        Assert.Equal(MoveOutcome.MoverWins, _rules.Judge(board, 4, 4, QubicRules.CellIndex(2, 1, 2)));
+    }
+
+    [Fact]
+    public void Judge_ContinuesWithThreeInARow()
+    {
+        var board = new Cell[QubicRules.CellCount];
+        for (var col = 0; col < 3; col++)
+            board[QubicRules.CellIndex(1, 1, col)] = Cell.X;
+
+        Assert.Equal(MoveOutcome.Continue, _rules.Judge(board, 4, 4, QubicRules.CellIndex(1, 1, 2)));
+    }
+
+    [Fact]
+    public void Judge_DoesNotWrapFromOneLayerIntoTheNext()
+    {
+        // Cells 14 to 17 are consecutive in the array but straddle layers 0 and 1.
+        var board = new Cell[QubicRules.CellCount];
+        for (var cell = 14; cell <= 17; cell++)
+            board[cell] = Cell.X;
+
+        Assert.Equal(MoveOutcome.Continue, _rules.Judge(board, 4, 4, 17));
+    }
+}
@@ -0,0 +1,104 @@
+using TicTacToeGame.Models;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Tests.Services;
+
+public sealed class RatingsTests
+{
+    private static readonly DateTimeOffset PlayedAt = new(2026, 1, 1, 12, 0, 0, TimeSpan.Zero);
+
+    private readonly Ratings _ratings = new();
+
+    [Fact]
+    public void RecordResult_MovesEvenPlayersByHalfTheKFactor()
+    {
+        _ratings.RecordResult(Finished("g1", "Alice", "Bob", winner: "Alice"), PlayedAt);
+
+        Assert.Equal(1216, _ratings.GetRating("Alice"));
+        Assert.Equal(1184, _ratings.GetRating("Bob"));
+    }
+
+    [Fact]
+    public void RecordResult_GivesMorePointsForBeatingAStrongerPlayer()
+    {
+        _ratings.RecordResult(Finished("g1", "Alice", "Bob", winner: "Alice"), PlayedAt);
+        _ratings.RecordResult(Finished("g2", "Bob", "Alice", winner: "Bob"), PlayedAt.AddMinutes(5));
+
+        Assert.Equal(1201, _ratings.GetRating("Bob"));
+        Assert.Equal(1199, _ratings.GetRating("Alice"));
+    }
+
+    [Fact]
+    public void RecordResult_LeavesEvenPlayersUnchangedOnADraw()
+    {
+        _ratings.RecordResult(Finished("g1", "Alice", "Bob", winner: null), PlayedAt);
+
+        var alice = _ratings.GetPlayer("Alice")!;
+        Assert.Equal(Ratings.InitialRating, alice.Rating);
+        Assert.Equal(1, alice.Draws);
+        Assert.Equal(0.5, Assert.Single(_ratings.GetHistory("Bob")).Score);
+    }
+
+    [Fact]
+    public void RecordResult_CountsEachGameOnce()
+    {
+        var game = Finished("g1", "Alice", "Bob", winner: "Alice");
+
+        _ratings.RecordResult(game, PlayedAt);
+        _ratings.RecordResult(game, PlayedAt);
+
+        Assert.Equal(1216, _ratings.GetRating("Alice"));
+        Assert.Single(_ratings.GetHistory("Alice"));
+    }
+
+    [Fact]
+    public void RecordResult_SkipsCasualComputerAndCancelledGames()
+    {
+        _ratings.RecordResult(Finished("g1", "Alice", "Bob", winner: "Alice") with { IsCasual = true }, PlayedAt);
+        _ratings.RecordResult(Finished("g2", "Alice", Game.ComputerNameFor(ComputerDifficulty.Easy), winner: "Alice") with
+        {
+            ComputerOpponent = ComputerDifficulty.Easy
+        }, PlayedAt);
+
+        var cancelled = Finished("g3", "Alice", "Bob", winner: null);
+        _ratings.RecordResult(cancelled with { State = cancelled.State with { EndReason = GameEndReason.Cancelled } }, PlayedAt);
+
+        Assert.Empty(_ratings.GetLeaderboard());
+    }
+
+    [Fact]
+    public void GetPlayer_IgnoresCase()
+    {
+        _ratings.RecordResult(Finished("g1", "Alice", "Bob", winner: "Alice"), PlayedAt);
+
+        Assert.Equal(1216, _ratings.GetPlayer("alice")!.Rating);
+    }
+
+    [Fact]
+    public void GetLeaderboard_PutsTheHighestRatingFirst()
+    {
+        _ratings.RecordResult(Finished("g1", "Alice", "Bob", winner: "Bob"), PlayedAt);
+        _ratings.RecordResult(Finished("g2", "Carol", "Dave", winner: null), PlayedAt);
+
+        Assert.Equal(new[] { "Bob", "Carol", "Dave", "Alice" }, _ratings.GetLeaderboard().Select(r => r.Player));
+    }
+
+    [Fact]
+    public void GetHistory_ListsTheNewestGameFirst()
+    {
+        _ratings.RecordResult(Finished("g1", "Alice", "Bob", winner: "Alice"), PlayedAt);
+        _ratings.RecordResult(Finished("g2", "Alice", "Carol", winner: "Carol"), PlayedAt.AddMinutes(5));
+
+        var history = _ratings.GetHistory("Alice");
+
+        Assert.Equal(new[] { "g2", "g1" }, history.Select(h => h.GameId));
+        Assert.Equal(history[1].RatingAfter, history[0].RatingBefore);
+    }
+
+    private static Game Finished(string gameId, string host, string guest, string? winner)
+        => new(gameId, "Rated", host, guest, new GameState(new Cell[9], null, GameStatus.Finished, winner)
+        {
+            FinishedAt = PlayedAt,
+            EndReason = winner is null ? GameEndReason.BoardFull : GameEndReason.Line
+        });
+}
@@ -0,0 +1,258 @@
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Time.Testing;
+using TicTacToeGame.Models;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Tests.Services;
+
+public sealed class TournamentsTests
+{
+    private readonly FakeTimeProvider _time = new(new DateTimeOffset(2026, 1, 1, 12, 0, 0, TimeSpan.Zero));
+    private readonly Games _games;
+    private readonly Tournaments _tournaments;
+
+    public TournamentsTests()
+    {
+        var ratings = new Ratings();
+        _games = new Games(_time, ratings, new InMemoryGameStore());
+        _tournaments = new Tournaments(_games, ratings, _time, NullLogger<Tournaments>.Instance);
+    }
+
+    [Fact]
+    public void Register_RefusesANameThatDiffersOnlyInCase()
+    {
+        var tournament = Create(TournamentFormat.SingleElimination);
+        _tournaments.Register(tournament.TournamentId, "Alice");
+
+        Assert.Equal("A player with that name is already registered.", _tournaments.Register(tournament.TournamentId, "alice").Error);
+        Assert.Single(_tournaments.Register(tournament.TournamentId, "Alice").Value!.Players);
+    }
+
+    [Fact]
+    public void Register_RefusesPlayersOnceTheTournamentIsFull()
+    {
+        var tournament = Create(TournamentFormat.SingleElimination, maxPlayers: 2);
+        _tournaments.Register(tournament.TournamentId, "Alice");
+        _tournaments.Register(tournament.TournamentId, "Bob");
+
+        Assert.Equal("The tournament is full.", _tournaments.Register(tournament.TournamentId, "Carol").Error);
+    }
+
+    [Fact]
+    public void Start_IsLeftToTheOrganizerAndNeedsTwoPlayers()
+    {
+        var tournament = Create(TournamentFormat.SingleElimination);
+        _tournaments.Register(tournament.TournamentId, "Alice");
+
+        Assert.Equal("Only the organizer can start the tournament.", _tournaments.Start(tournament.TournamentId, "Alice").Error);
+        Assert.Equal("At least 2 players must register.", _tournaments.Start(tournament.TournamentId, "Organizer").Error);
+    }
+
+    [Fact]
+    public void Start_GivesByesToTheBestSeeds()
+    {
+        var tournament = Start(TournamentFormat.SingleElimination, "P1", "P2", "P3", "P4", "P5");
+
+        // Eight slots for five players: seeds 1 to 3 go through, 4 plays 5.
+        var firstRound = tournament.Matches.Where(m => m.Round == 1).ToArray();
+        Assert.Equal(4, firstRound.Length);
+        Assert.Equal("P4", Assert.Single(firstRound, m => m.Status == TournamentMatchStatus.InProgress).PlayerA);
+
+        Assert.Equal("P1", Match(tournament, "W2-1").PlayerA);
+        Assert.Equal(TournamentMatchStatus.Pending, Match(tournament, "W2-1").Status);
+        Assert.Equal(TournamentMatchStatus.InProgress, Match(tournament, "W2-2").Status);
+        Assert.True(Match(tournament, "W2-2").Involves("P2") && Match(tournament, "W2-2").Involves("P3"));
+    }
+
+    [Fact]
+    public void RecordResult_RunsASingleEliminationDrawToTheFinal()
+    {
+        var tournament = Start(TournamentFormat.SingleElimination, "Alice", "Bob", "Carol");
+
+        tournament = Win(tournament, "Bob");
+        Assert.Equal(TournamentMatchStatus.InProgress, Match(tournament, "W2-1").Status);
+
+        tournament = Win(tournament, "Alice");
+
+        Assert.Equal(TournamentStatus.Finished, tournament.Status);
+        Assert.Equal(new[] { "Alice" }, tournament.Winners);
+    }
+
+    [Fact]
+    public void RecordResult_ReplaysADrawnEliminationGameWithColoursSwapped()
+    {
+        var tournament = Start(TournamentFormat.SingleElimination, "Alice", "Bob");
+        var first = _games.GetGame(Match(tournament, "W1-1").GameIds[0]).Value!;
+
+        tournament = Draw(tournament, "W1-1");
+
+        var match = Match(tournament, "W1-1");
+        Assert.Equal(TournamentMatchStatus.InProgress, match.Status);
+        Assert.Equal(2, match.GameIds.Count);
+        Assert.Equal(first.GuestPlayer, _games.GetGame(match.GameIds[1]).Value!.HostPlayer);
+    }
+
+    [Fact]
+    public void RecordResult_SendsTheHigherSeedThroughAfterTooManyDraws()
+    {
+        var tournament = Start(TournamentFormat.SingleElimination, "Alice", "Bob");
+
+        for (var game = 0; game < Tournaments.MaxGamesPerMatch; game++)
+            tournament = Draw(tournament, "W1-1");
+
+        Assert.Equal(TournamentStatus.Finished, tournament.Status);
+        Assert.Equal(new[] { "Alice" }, tournament.Winners);
+    }
+
+    [Fact]
+    public void RecordResult_EndsADoubleEliminationDrawWhenTheUnbeatenPlayerWinsTheGrandFinal()
+    {
+        var tournament = Start(TournamentFormat.DoubleElimination, "Alice", "Bob", "Carol", "Dave");
+
+        tournament = Win(tournament, "Alice");
+        tournament = Win(tournament, "Bob");
+        Assert.True(Match(tournament, "L1-1").Involves("Carol") && Match(tournament, "L1-1").Involves("Dave"));
+
+        tournament = Win(tournament, "Bob");
+        tournament = Win(tournament, "Carol");
+        Assert.True(Match(tournament, "L2-1").Involves("Alice") && Match(tournament, "L2-1").Involves("Carol"));
+
+        tournament = Win(tournament, "Alice");
+        Assert.True(Match(tournament, "GF1").Involves("Alice") && Match(tournament, "GF1").Involves("Bob"));
+
+        tournament = Win(tournament, "Bob");
+
+        Assert.Equal(TournamentStatus.Finished, tournament.Status);
+        Assert.Equal(new[] { "Bob" }, tournament.Winners);
+        Assert.Empty(Match(tournament, "GF2").GameIds);
+    }
+
+    [Fact]
+    public void RecordResult_PlaysTheGrandFinalAgainWhenTheLosersBracketChampionWins()
+    {
+        var tournament = Start(TournamentFormat.DoubleElimination, "Alice", "Bob", "Carol", "Dave");
+
+        tournament = Win(tournament, "Alice");
+        tournament = Win(tournament, "Bob");
+        tournament = Win(tournament, "Bob");
+        tournament = Win(tournament, "Carol");
+        tournament = Win(tournament, "Alice");
+
+        tournament = Win(tournament, "Alice");
+        Assert.Equal(TournamentStatus.InProgress, tournament.Status);
+        Assert.Equal(TournamentMatchStatus.InProgress, Match(tournament, "GF2").Status);
+
+        tournament = Win(tournament, "Alice");
+
+        Assert.Equal(TournamentStatus.Finished, tournament.Status);
+        Assert.Equal(new[] { "Alice" }, tournament.Winners);
+    }
+
+    [Fact]
+    public void Start_PairsEveryoneInARoundRobinPoolOnce()
+    {
+        var players = new[] { "Alice", "Bob", "Carol", "Dave", "Erin" };
+        var tournament = Start(TournamentFormat.RoundRobin, players);
+
+        Assert.Equal(10, tournament.Matches.Count);
+        foreach (var player in players)
+        {
+            var opponents = tournament.Matches
+                .Where(m => m.Involves(player))
+                .Select(m => m.PlayerA == player ? m.PlayerB : m.PlayerA)
+                .ToArray();
+
+            Assert.Equal(4, opponents.Distinct().Count());
+            Assert.Equal(4, opponents.Length);
+        }
+    }
+
+    [Fact]
+    public void Start_FillsRoundRobinPoolsInSnakeOrder()
+    {
+        var tournament = Start(TournamentFormat.RoundRobin, poolCount: 2, "Alice", "Bob", "Carol", "Dave");
+
+        var pools = tournament.Matches.ToLookup(m => m.Pool);
+        Assert.True(Assert.Single(pools[0]).Involves("Alice") && pools[0].Single().Involves("Dave"));
+        Assert.True(Assert.Single(pools[1]).Involves("Bob") && pools[1].Single().Involves("Carol"));
+    }
+
+    [Fact]
+    public void RecordResult_FinishesARoundRobinWithTheStandingsLeader()
+    {
+        var tournament = Start(TournamentFormat.RoundRobin, "Alice", "Bob", "Carol", "Dave");
+
+        // The better seed wins every game: Alice, Bob, Carol, Dave.
+        while (tournament.Matches.FirstOrDefault(m => m.Status == TournamentMatchStatus.InProgress) is { } match)
+        {
+            var better = tournament.Players.First(match.Involves);
+            tournament = Win(tournament, better);
+        }
+
+        Assert.Equal(TournamentStatus.Finished, tournament.Status);
+        Assert.Equal(new[] { "Alice" }, tournament.Winners);
+        Assert.Equal(new[] { 3m, 2m, 1m, 0m }, _tournaments.GetStandings(tournament).Select(s => s.Points));
+    }
+
+    [Fact]
+    public void RecordResult_IgnoresGamesOutsideATournament()
+    {
+        var game = _games.CreateMatch("Alice", "Bob", "Friendly").Value!;
+        var resigned = _games.Resign(game.GameId, "Bob").Value!;
+
+        Assert.Null(_tournaments.RecordResult(resigned));
+    }
+
+    private Tournament Create(TournamentFormat format, int? maxPlayers = null, int? poolCount = null)
+    {
+        var created = _tournaments.Create("Organizer", "Cup", new CreateTournamentOptions
+        {
+            Format = format,
+            MaxPlayers = maxPlayers,
+            PoolCount = poolCount
+        });
+
+        Assert.True(created.IsSuccess, created.Error);
+        return created.Value!;
+    }
+
+    private Tournament Start(TournamentFormat format, params string[] players)
+        => Start(format, poolCount: null, players);
+
+    private Tournament Start(TournamentFormat format, int? poolCount, params string[] players)
+    {
+        var tournament = Create(format, poolCount: poolCount);
+        foreach (var player in players)
+            Assert.True(_tournaments.Register(tournament.TournamentId, player).IsSuccess);
+
+        var started = _tournaments.Start(tournament.TournamentId, "Organizer");
+        Assert.True(started.IsSuccess, started.Error);
+        return started.Value!;
+    }
+
+    // The opponent of winner in their running match resigns.
+    private Tournament Win(Tournament tournament, string winner)
+    {
+        var match = Assert.Single(tournament.Matches, m => m.Status == TournamentMatchStatus.InProgress && m.Involves(winner));
+        var loser = match.PlayerA == winner ? match.PlayerB! : match.PlayerA!;
+
+        var resigned = _games.Resign(match.GameIds[^1], loser);
+        Assert.True(resigned.IsSuccess, resigned.Error);
+        return _tournaments.RecordResult(resigned.Value!)!;
+    }
+
+    private Tournament Draw(Tournament tournament, string matchId)
+    {
+        var match = Match(tournament, matchId);
+        Assert.Equal(TournamentMatchStatus.InProgress, match.Status);
+
+        var gameId = match.GameIds[^1];
+        Assert.True(_games.OfferDraw(gameId, match.PlayerA!).IsSuccess);
+        var drawn = _games.AcceptDraw(gameId, match.PlayerB!);
+        Assert.True(drawn.IsSuccess, drawn.Error);
+        return _tournaments.RecordResult(drawn.Value!)!;
+    }
+
+    private static TournamentMatch Match(Tournament tournament, string matchId)
+        => tournament.Matches.Single(m => m.MatchId == matchId);
+}
@@ -0,0 +1,95 @@
+using TicTacToeGame.Models;
+using TicTacToeGame.Services;
+
+namespace TicTacToeGame.Tests.Services;
+
+public sealed class UltimateRulesTests
+{
+    private static readonly DateTimeOffset PlayedAt = new(2026, 1, 1, 12, 0, 0, TimeSpan.Zero);
+
+    private readonly UltimateRules _rules = new();
+
+    [Theory]
+    [InlineData(0, 0, 0)]
+    [InlineData(8, 2, 2)]
+    [InlineData(10, 0, 4)]
+    [InlineData(40, 4, 4)]
+    [InlineData(80, 8, 8)]
+    public void CellIndex_MapsSubBoardAndPositionOntoTheGrid(int cellIndex, int subBoard, int position)
+    {
+        Assert.Equal(subBoard, UltimateRules.SubBoardOf(cellIndex));
+        Assert.Equal(position, UltimateRules.PositionInSubBoard(cellIndex));
+        Assert.Equal(cellIndex, UltimateRules.CellIndex(subBoard, position));
+    }
+
+    [Fact]
+    public void ActiveSubBoard_SendsTheOpponentToTheBoardMatchingTheCellPlayed()
+    {
+        var board = new Cell[81];
+        var cell = UltimateRules.CellIndex(subBoard: 0, position: 5);
+        board[cell] = Cell.X;
+
+        var moves = new[] { new Move("Alice", Cell.X, cell, PlayedAt) };
+
+        Assert.Equal(5, UltimateRules.ActiveSubBoard(board, moves));
+        Assert.True(UltimateRules.IsLegalMove(board, moves, UltimateRules.CellIndex(5, 0)));
+        Assert.False(UltimateRules.IsLegalMove(board, moves, UltimateRules.CellIndex(4, 0)));
+    }
+
+    [Fact]
+    public void ActiveSubBoard_FreesTheChoiceWhenTheTargetIsAlreadyWon()
+    {
+        var board = new Cell[81];
+        TakeSubBoard(board, 5, Cell.O);
+        var cell = UltimateRules.CellIndex(subBoard: 0, position: 5);
+        board[cell] = Cell.X;
+
+        var moves = new[] { new Move("Alice", Cell.X, cell, PlayedAt) };
+
+        Assert.Null(UltimateRules.ActiveSubBoard(board, moves));
+        Assert.True(UltimateRules.IsLegalMove(board, moves, UltimateRules.CellIndex(4, 0)));
+        Assert.False(UltimateRules.IsLegalMove(board, moves, UltimateRules.CellIndex(5, 8)));
+    }
+
+    [Fact]
+    public void Judge_ContinuesWhenOnlyASubBoardIsTaken()
+    {
+        var board = new Cell[81];
+        TakeSubBoard(board, 0, Cell.X);
+
+        Assert.Equal(Cell.X, UltimateRules.SubBoardWinner(board, 0));
+        Assert.Equal(MoveOutcome.Continue, _rules.Judge(board, UltimateRules.BoardSize, UltimateRules.WinLength, UltimateRules.CellIndex(0, 2)));
+    }
+
+    [Fact]
+    public void Judge_WinsWithThreeSubBoardsInARow()
+    {
+        var board = new Cell[81];
+        TakeSubBoard(board, 2, Cell.X);
+        TakeSubBoard(board, 4, Cell.X);
+        TakeSubBoard(board, 6, Cell.X);
+
+        Assert.Equal(MoveOutcome.MoverWins, _rules.Judge(board, UltimateRules.BoardSize, UltimateRules.WinLength, UltimateRules.CellIndex(6, 2)));
+    }
+
+    [Fact]
+    public void Judge_IsADrawOnceEverySubBoardIsClosed()
+    {
+        // X O X / X O O / O X X on the meta-board: every sub-board taken, no three in a row.
+        var board = new Cell[81];
+        foreach (var subBoard in new[] { 0, 2, 3, 7, 8 })
+            TakeSubBoard(board, subBoard, Cell.X);
+        foreach (var subBoard in new[] { 1, 4, 5, 6 })
+            TakeSubBoard(board, subBoard, Cell.O);
+
+        Assert.True(UltimateRules.IsBlocked(board));
+        Assert.Equal(MoveOutcome.Draw, _rules.Judge(board, UltimateRules.BoardSize, UltimateRules.WinLength, UltimateRules.CellIndex(6, 2)));
+    }
+
+    // The top row of the sub-board.
+    private static void TakeSubBoard(Cell[] board, int subBoard, Cell mark)
+    {
+        for (var position = 0; position < 3; position++)
+            board[UltimateRules.CellIndex(subBoard, position)] = mark;
+    }
+}
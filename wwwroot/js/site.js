@@ -1,14 +1,17 @@
 // TicTacToe - Client-side JavaScript
-// Organized into modules: Storage, UI Helpers, SignalR, Display Name, Lobby, Game
+// Organized into modules: Storage, UI Helpers, Board View, SignalR, Display Name, Lobby, Game, Replay
 
 (function () {
     'use strict';
 
     // =========================================================================
-    // Storage - sessionStorage wrapper for per-tab display name
+    // Storage - sessionStorage wrapper for per-tab display name, plus seat
+    // tokens in localStorage so every tab of this browser can reclaim a seat
     // =========================================================================
     var Storage = {
         DISPLAY_NAME_KEY: 'tictactoe.displayName',
+        PLAYER_KEY_KEY: 'tictactoe.playerKey',
+        SEATS_KEY: 'tictactoe.seats',
 
         getDisplayName: function () {
             try {
@@ -25,6 +28,69 @@
             } catch {
                 // ignore
             }
+        },
+
+        // Server-issued per-tab identity; lets this tab keep its name across connections
+        getPlayerKey: function () {
+            try {
+                return sessionStorage.getItem(this.PLAYER_KEY_KEY) || '';
+            } catch {
+                return '';
+            }
+        },
+
+        setPlayerKey: function (value) {
+            try {
+                sessionStorage.setItem(this.PLAYER_KEY_KEY, value || '');
+            } catch {
+                // ignore
+            }
+        },
+
+        getSeats: function () {
+            try {
+                return JSON.parse(localStorage.getItem(this.SEATS_KEY) || '{}') || {};
+            } catch {
+                return {};
+            }
+        },
+
+        // Seat for this tab's display name; a tab without a name gets the newest seat
+        getSeat: function (gameId, displayName) {
+            var seats = this.getSeats()[gameId] || [];
+            if (displayName) {
+                return seats.find(function (s) { return s.displayName === displayName; }) || null;
+            }
+            return seats.length ? seats[seats.length - 1] : null;
+        },
+
+        // "gameId:token" for this name's newest seats, sent on connect to reclaim the name
+        // from a tab that has not held it before
+        seatsQuery: function (displayName) {
+            if (!displayName) return '';
+            var all = this.getSeats();
+            var name = displayName.toLowerCase();
+            return Object.keys(all)
+                .map(function (gameId) {
+                    var seat = all[gameId].find(function (s) { return s.displayName.toLowerCase() === name; });
+                    return seat ? gameId + ':' + seat.token : null;
+                })
+                .filter(Boolean)
+                .slice(-10)
+                .join(',');
+        },
+
+        saveSeat: function (gameId, displayName, token) {
+            if (!gameId || !displayName || !token) return;
+            try {
+                var all = this.getSeats();
+                var seats = (all[gameId] || []).filter(function (s) { return s.displayName !== displayName; });
+                seats.push({ displayName: displayName, token: token });
+                all[gameId] = seats;
+                localStorage.setItem(this.SEATS_KEY, JSON.stringify(all));
+            } catch {
+                // ignore
+            }
         }
     };
 
@@ -54,6 +120,186 @@
         setDisabled: function (id, disabled) {
             var el = document.getElementById(id);
             if (el) el.disabled = disabled;
+        },
+
+        // Escaped "name (rating)" linking to the player's profile; the computer has no rating
+        playerLabel: function (name, rating) {
+            return '<a href="/Player/' + encodeURIComponent(name) + '">' + UI.escapeHtml(name) + '</a>' +
+                (rating != null ? ' <span class="text-muted">(' + rating + ')</span>' : '');
+        },
+
+        // "7&times;6, 4 in a row, gravity" prefixed with the rule variant, from a game, lobby or
+        // challenge payload; Ultimate and Qubic have boards of their own
+        describeBoard: function (options) {
+            if (options.variant === 'Ultimate') return 'Ultimate';
+            if (options.variant === 'Qubic') return '3D 4&times;4&times;4';
+
+            var size = options.boardSize || 3;
+            var board = size + '&times;' + (options.boardRows || size) + ', ' + (options.winLength || size) + ' in a row' +
+                (options.gravity ? ', gravity' : '');
+            var names = { Misere: 'Mis&egrave;re', Wild: 'Wild', Notakto: 'Notakto' };
+            return names[options.variant] ? names[options.variant] + ' ' + board : board;
+        },
+
+        // Variants marked data-fixed-board (Ultimate, Qubic) bring their own board, so the board
+        // choice and gravity are moot
+        bindVariantSelect: function (variantId, boardId, gravityId) {
+            var variantSelect = document.getElementById(variantId);
+            var boardSelect = document.getElementById(boardId);
+            var gravityCheck = document.getElementById(gravityId);
+            if (!variantSelect || !boardSelect) return;
+
+            var update = function () {
+                var fixedBoard = variantSelect.options[variantSelect.selectedIndex].hasAttribute('data-fixed-board');
+                boardSelect.disabled = fixedBoard;
+                if (gravityCheck) gravityCheck.disabled = fixedBoard;
+            };
+            variantSelect.addEventListener('change', update);
+            update();
+        },
+
+        showToast: function (message) {
+            var el = UI.createToast(`<div class="toast-body">${UI.escapeHtml(message)}</div>`);
+            if (el) bootstrap.Toast.getOrCreateInstance(el).show();
+        },
+
+        // Appends a toast to the page-wide container; it removes itself once hidden
+        createToast: function (innerHtml, id) {
+            var container = document.getElementById('toastContainer');
+            if (!container) return null;
+
+            var el = document.createElement('div');
+            el.className = 'toast';
+            el.setAttribute('role', 'alert');
+            if (id) el.id = id;
+            el.innerHTML = innerHtml;
+
+            el.addEventListener('hidden.bs.toast', function () { el.remove(); });
+            container.appendChild(el);
+            return el;
+        },
+
+        escapeHtml: function (value) {
+            return String(value == null ? '' : value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+    };
+
+    // =========================================================================
+    // Board View - grid markup shared by the game and replay pages
+    // =========================================================================
+    var BoardView = {
+        // Mirrors Views/Game/_Board.cshtml; returns the new cell buttons
+        // cellCount covers rectangular boards; boardSize is always the width
+        renderGrid: function (boardEl, boardSize, variant, cellCount) {
+            if (!boardEl || !boardSize) return [];
+
+            if (variant === 'Ultimate') return this.renderUltimate(boardEl);
+            if (variant === 'Qubic') return this.renderQubic(boardEl);
+
+            var sizeClass = boardSize <= 3 ? 'lg' : (boardSize <= 5 ? 'md' : 'sm');
+            var html = `<div class="ttt-grid ttt-grid-${sizeClass}" style="grid-template-columns: repeat(${boardSize}, var(--ttt-cell-size));">`;
+
+            for (var i = 0; i < (cellCount || boardSize * boardSize); i++) {
+                html += `<button type="button" class="btn btn-outline-dark fw-bold ttt-cell js-cell" data-cell-index="${i}"></button>`;
+            }
+
+            html += '</div>';
+            boardEl.innerHTML = html;
+            boardEl.setAttribute('data-board-size', boardSize);
+            boardEl.setAttribute('data-variant', variant || 'Classic');
+            return boardEl.querySelectorAll('.js-cell');
+        },
+
+        // Nine 3x3 sub-boards; cell indexes count row by row across the whole 9x9 grid
+        renderUltimate: function (boardEl) {
+            var html = '<div class="ttt-ultimate">';
+
+            for (var sub = 0; sub < 9; sub++) {
+                html += `<div class="ttt-grid ttt-subboard" data-sub-board="${sub}" style="grid-template-columns: repeat(3, var(--ttt-cell-size));">`;
+                for (var pos = 0; pos < 9; pos++) {
+                    var idx = (Math.floor(sub / 3) * 3 + Math.floor(pos / 3)) * 9 + (sub % 3) * 3 + pos % 3;
+                    html += `<button type="button" class="btn btn-outline-dark fw-bold ttt-cell js-cell" data-cell-index="${idx}"></button>`;
+                }
+                html += '</div>';
+            }
+
+            html += '</div>';
+            boardEl.innerHTML = html;
+            boardEl.setAttribute('data-board-size', 9);
+            boardEl.setAttribute('data-variant', 'Ultimate');
+            return boardEl.querySelectorAll('.js-cell');
+        },
+
+        // Four 4x4 layers, bottom first; layer, row and column map to one cell index
+        qubicCellIndex: function (layer, row, col) {
+            return (layer * 4 + row) * 4 + col;
+        },
+
+        renderQubic: function (boardEl) {
+            var html = '<div class="ttt-qubic">';
+
+            for (var layer = 0; layer < 4; layer++) {
+                html += `<div class="ttt-layer"><div class="small text-muted">Layer ${layer + 1}</div>`;
+                html += '<div class="ttt-grid" style="grid-template-columns: repeat(4, var(--ttt-cell-size));">';
+                for (var row = 0; row < 4; row++) {
+                    for (var col = 0; col < 4; col++) {
+                        html += `<button type="button" class="btn btn-outline-dark fw-bold ttt-cell js-cell" data-cell-index="${this.qubicCellIndex(layer, row, col)}"></button>`;
+                    }
+                }
+                html += '</div></div>';
+            }
+
+            html += '</div>';
+            boardEl.innerHTML = html;
+            boardEl.setAttribute('data-board-size', 4);
+            boardEl.setAttribute('data-variant', 'Qubic');
+            return boardEl.querySelectorAll('.js-cell');
+        },
+
+        // Tilts the layers into a stack; cell indexes and clicks are unchanged
+        setQubic3d: function (boardEl, enabled) {
+            var cube = boardEl ? boardEl.querySelector('.ttt-qubic') : null;
+            if (cube) cube.classList.toggle('ttt-qubic-3d', enabled);
+        },
+
+        // Highlights the sub-board(s) the next move may go in and marks the ones already decided
+        markSubBoards: function (boardEl, ultimate) {
+            if (!boardEl) return;
+            boardEl.querySelectorAll('.ttt-subboard').forEach(function (el) {
+                var sub = parseInt(el.getAttribute('data-sub-board'), 10);
+                var winner = ultimate ? ultimate.subBoardWinners[sub] : null;
+
+                if (winner) el.setAttribute('data-winner', winner);
+                else el.removeAttribute('data-winner');
+
+                el.classList.toggle('active', !!ultimate && !winner &&
+                    (ultimate.activeSubBoard == null || ultimate.activeSubBoard === sub));
+            });
+        },
+
+        paint: function (cellButtons, board) {
+            cellButtons.forEach(function (btn) {
+                var idx = parseInt(btn.getAttribute('data-cell-index'), 10);
+                var value = board[idx];
+
+                if (value === 'X') {
+                    btn.textContent = 'X';
+                    btn.classList.remove('text-danger');
+                    btn.classList.add('text-primary');
+                } else if (value === 'O') {
+                    btn.textContent = 'O';
+                    btn.classList.remove('text-primary');
+                    btn.classList.add('text-danger');
+                } else {
+                    btn.textContent = '';
+                    btn.classList.remove('text-primary', 'text-danger');
+                }
+            });
         }
     };
 
@@ -64,6 +310,8 @@
         connection: null,
         startPromise: null,
         eventHandlers: [], // Store handlers to re-register after reset
+        reconnectedHandlers: [],
+        seat: null, // { gameId, token } sent on connect so reconnects keep the seat
 
         ensureConnection: async function () {
             if (!window.signalR) {
@@ -91,12 +339,27 @@
                 return this.connection;
             }
 
+            var url = '/tictactoeHub?displayName=' + encodeURIComponent(displayName) +
+                '&playerKey=' + encodeURIComponent(Storage.getPlayerKey()) +
+                '&seats=' + encodeURIComponent(Storage.seatsQuery(displayName));
+            if (this.seat) {
+                url += '&gameId=' + encodeURIComponent(this.seat.gameId) +
+                    '&playerToken=' + encodeURIComponent(this.seat.token);
+            }
+
             // Create new connection
             this.connection = new signalR.HubConnectionBuilder()
-                .withUrl('/tictactoeHub?displayName=' + encodeURIComponent(displayName))
+                .withUrl(url)
                 .withAutomaticReconnect()
                 .build();
 
+            // Group membership is lost on reconnect; let modules re-subscribe
+            this.connection.onreconnected(function () {
+                Hub.reconnectedHandlers.forEach(function (handler) {
+                    handler();
+                });
+            });
+
             // Re-register all stored event handlers
             this.eventHandlers.forEach(function (h) {
                 this.connection.on(h.event, h.handler);
@@ -118,6 +381,10 @@
             }
         },
 
+        onReconnected: function (handler) {
+            this.reconnectedHandlers.push(handler);
+        },
+
         invoke: async function (methodName) {
             var connection = await this.ensureConnection();
             var args = Array.prototype.slice.call(arguments, 1);
@@ -142,6 +409,24 @@
     // Display Name Module - Modal and identity management
     // =========================================================================
     var DisplayNameModule = {
+        // The server may suffix a duplicate name ("Alex 2"); adopt whatever it assigned
+        listen: function () {
+            Hub.on('DisplayNameAssigned', function (payload) {
+                if (!payload) return;
+
+                Storage.setPlayerKey(payload.playerKey);
+                if (!payload.displayName) return;
+
+                Storage.setDisplayName(payload.displayName);
+                DisplayNameModule.refreshUI();
+
+                if (payload.requestedName && payload.requestedName !== payload.displayName) {
+                    UI.showError('displayNameNotice',
+                        'The name "' + payload.requestedName + '" is taken, so you are playing as "' + payload.displayName + '".');
+                }
+            });
+        },
+
         init: function (onNameSet) {
             var modalEl = document.getElementById('displayNameModal');
             if (!modalEl) return;
@@ -209,17 +494,176 @@
             if (currentNameEl) currentNameEl.hidden = !hasName;
 
             UI.setDisabled('createGameBtn', !hasName);
+            UI.setDisabled('quickPlayBtn', !hasName);
 
-            document.querySelectorAll('.js-join-game').forEach(function (btn) {
+            document.querySelectorAll('.js-join-game, .js-watch-game').forEach(function (btn) {
                 btn.disabled = !hasName;
             });
         }
     };
 
+    // =========================================================================
+    // Chat Module - Chat panels bound to server channels
+    // =========================================================================
+    var ChatModule = {
+        panels: {}, // channel -> { ids, send }
+
+        // ids: { messages, form, input, error }; send(text) returns the hub invocation promise
+        attach: function (channel, ids, send) {
+            var form = document.getElementById(ids.form);
+            if (!form) return;
+
+            this.panels[channel] = { ids: ids, send: send };
+
+            Hub.on('ChatMessage', this.handleChatMessage.bind(this));
+            Hub.on('ChatHistory', this.handleChatHistory.bind(this));
+
+            form.addEventListener('submit', this.handleSubmit.bind(this, channel));
+        },
+
+        handleSubmit: async function (channel, e) {
+            e.preventDefault();
+
+            var panel = this.panels[channel];
+            var input = document.getElementById(panel.ids.input);
+            var text = input.value.trim();
+            if (!text) return;
+
+            UI.hideError(panel.ids.error);
+            try {
+                await panel.send(text);
+                input.value = '';
+            } catch (err) {
+                UI.showError(panel.ids.error, err && err.message ? err.message : 'Failed to send message.');
+            }
+        },
+
+        handleChatMessage: function (message) {
+            var panel = message && this.panels[message.channel];
+            if (!panel) return;
+
+            this.append(panel, message);
+        },
+
+        // Sent on (re)subscribe; replaces whatever the panel showed before
+        handleChatHistory: function (payload) {
+            var panel = payload && this.panels[payload.channel];
+            if (!panel) return;
+
+            var list = document.getElementById(panel.ids.messages);
+            if (list) list.innerHTML = '';
+
+            (payload.messages || []).forEach(function (message) {
+                this.append(panel, message);
+            }, this);
+        },
+
+        append: function (panel, message) {
+            var list = document.getElementById(panel.ids.messages);
+            if (!list) return;
+
+            var isOwn = message.sender === Storage.getDisplayName();
+            var time = new Date(message.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+            list.insertAdjacentHTML('beforeend', `
+                <div class="ttt-chat-message${isOwn ? ' own' : ''}">
+                    <span class="fw-semibold">${UI.escapeHtml(message.sender)}</span>
+                    <span class="text-muted small">${UI.escapeHtml(time)}</span>
+                    <div>${UI.escapeHtml(message.text)}</div>
+                </div>
+            `);
+
+            list.scrollTop = list.scrollHeight;
+        }
+    };
+
+    // =========================================================================
+    // Challenge Module - Direct challenges, answered from any page
+    // =========================================================================
+    var ChallengeModule = {
+        init: async function () {
+            if (!Storage.getDisplayName() || !document.getElementById('toastContainer')) return;
+
+            Hub.on('ChallengeReceived', this.handleChallengeReceived.bind(this));
+            Hub.on('ChallengeCancelled', this.handleChallengeCancelled.bind(this));
+
+            Hub.on('ChallengeDeclined', function (payload) {
+                UI.showToast(payload.reason
+                    ? 'Challenge to ' + payload.target + ' failed: ' + payload.reason
+                    : payload.target + ' declined your challenge.');
+            });
+
+            // Both players get their own seat token and go straight to the game
+            Hub.on('ChallengeAccepted', function (payload) {
+                Storage.saveSeat(payload.gameId, Storage.getDisplayName(), payload.playerToken);
+                window.location.href = '/Game/' + payload.gameId;
+            });
+
+            document.getElementById('toastContainer').addEventListener('click', this.handleResponse.bind(this));
+
+            // Pages without a lobby or game still need a connection to be challenged
+            try {
+                await Hub.ensureConnection();
+            } catch {
+                // ignore connection errors
+            }
+        },
+
+        handleChallengeReceived: function (payload) {
+            var details = UI.describeBoard(payload);
+            if (payload.moveTimeLimitSeconds) details += ' &middot; ' + payload.moveTimeLimitSeconds + 's per move';
+            if (payload.clockInitialSeconds) details += ' &middot; ' + (payload.clockInitialSeconds / 60) + '+' + (payload.clockIncrementSeconds || 0) + ' clock';
+
+            var el = UI.createToast(`
+                <div class="toast-header">
+                    <strong class="me-auto">Challenge</strong>
+                    <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
+                </div>
+                <div class="toast-body">
+                    <div><strong>${UI.escapeHtml(payload.challenger)}</strong> challenges you to a game.</div>
+                    <small class="text-muted">${details}</small>
+                    <div class="mt-2">
+                        <button type="button" class="btn btn-sm btn-primary js-challenge-response"
+                            data-challenge-id="${payload.challengeId}" data-accept="true">Accept</button>
+                        <button type="button" class="btn btn-sm btn-outline-secondary js-challenge-response"
+                            data-challenge-id="${payload.challengeId}" data-accept="false">Decline</button>
+                    </div>
+                </div>
+            `, 'challenge-' + payload.challengeId);
+
+            // Stays up until answered or the challenge expires on the server
+            var delay = Math.max(new Date(payload.expiresAt).getTime() - Date.now(), 1000);
+            bootstrap.Toast.getOrCreateInstance(el, { autohide: true, delay: delay }).show();
+        },
+
+        handleChallengeCancelled: function (payload) {
+            var el = document.getElementById('challenge-' + payload.challengeId);
+            if (el) bootstrap.Toast.getOrCreateInstance(el).hide();
+        },
+
+        handleResponse: async function (e) {
+            var target = e.target.closest('.js-challenge-response');
+            if (!target) return;
+
+            var challengeId = target.getAttribute('data-challenge-id');
+            var accept = target.getAttribute('data-accept') === 'true';
+
+            this.handleChallengeCancelled({ challengeId: challengeId });
+
+            try {
+                await Hub.invoke('RespondToChallenge', challengeId, accept);
+            } catch (err) {
+                UI.showToast(err && err.message ? err.message : 'Failed to answer the challenge.');
+            }
+        }
+    };
+
     // =========================================================================
     // Lobby Module - Game list and create/join functionality
     // =========================================================================
     var LobbyModule = {
+        quickPlayOptions: null, // set while waiting in the matchmaking queue
+
         renderWaitingGames: function (games) {
             this.gamesCache = games || [];
 
@@ -245,8 +689,9 @@
                 html += `
         <div class="list-group-item d-flex justify-content-between align-items-center">
             <div>
-                <div class="fw-semibold">${g.friendlyName}</div>
-                <small class="text-muted">Id: ${g.gameId}</small>
+                <div class="fw-semibold">${g.hasPassword ? '<span title="Password required" aria-label="Password required">&#128274;</span> ' : ''}${UI.escapeHtml(g.friendlyName)}</div>
+                <small class="d-block">${UI.playerLabel(g.hostPlayer, g.hostRating)}${g.guestPlayer ? ' vs ' + UI.playerLabel(g.guestPlayer, g.guestRating) : ''}</small>
+                <small class="text-muted">${UI.describeBoard(g)}${g.moveTimeLimitSeconds ? ` &middot; ${g.moveTimeLimitSeconds}s per move` : ''}${g.clockInitialSeconds ? ` &middot; ${g.clockInitialSeconds / 60}+${g.clockIncrementSeconds} clock` : ''}${g.isCasual ? ' &middot; casual' : ''} &middot; Id: ${g.gameId}</small>
             </div>
             <div>
  ${isPlayerInGame ? `
@@ -257,8 +702,10 @@
     </button>
 ` : (isFull ? `
     <button type="button"
-        class="btn btn-sm btn-outline-secondary ms-2" disabled>
-        In Progress
+        class="btn btn-sm btn-outline-secondary ms-2 js-watch-game"
+        data-game-id="${g.gameId}"
+        ${hasName ? '' : 'disabled'}>
+        Watch
     </button>
 ` : `
     <button type="button"
@@ -269,7 +716,7 @@
     </button>
 `)}
 
-                ${(isPlayerInGame) ? `
+                ${(isPlayerInGame && g.status === 'WaitingForOpponent') ? `
                     <button type="button"
                         class="btn btn-sm btn-outline-danger ms-2 js-cancel-game"
                         data-game-id="${g.gameId}">
@@ -286,6 +733,42 @@
             container.innerHTML = html;
         },
 
+        renderOnlinePlayers: function (players) {
+            var list = document.getElementById('onlinePlayersList');
+            if (!list) return;
+
+            if (players.length === 0) {
+                list.innerHTML = '<li class="list-group-item text-muted">Nobody is online.</li>';
+                return;
+            }
+
+            var displayName = Storage.getDisplayName();
+
+            list.innerHTML = players.map(function (p) {
+                var isInGame = p.status === 'InGame';
+                return `
+        <li class="list-group-item d-flex justify-content-between align-items-center">
+            <span>${UI.playerLabel(p.displayName, p.rating)}${p.displayName === displayName ? ' <span class="text-muted">(you)</span>' : ''}</span>
+            <span>
+                ${isInGame
+                    ? (p.gameId
+                        ? `<a class="badge text-bg-warning text-decoration-none" href="/Game/${encodeURIComponent(p.gameId)}">In game</a>`
+                        : '<span class="badge text-bg-warning">In game</span>')
+                    : '<span class="badge text-bg-success">Idle</span>'}
+                ${!isInGame && displayName && p.displayName !== displayName ? `
+                    <button type="button"
+                        class="btn btn-sm btn-outline-primary ms-2 js-challenge-player"
+                        data-connection-id="${UI.escapeHtml(p.connectionId)}"
+                        data-display-name="${UI.escapeHtml(p.displayName)}">
+                        Challenge
+                    </button>
+                ` : ''}
+            </span>
+        </li>
+        `;
+            }).join('');
+        },
+
         handleCancelGame: async function (e) {
             var target = e.target.closest('.js-cancel-game');
             if (!target) return;
@@ -323,27 +806,46 @@
             Hub.on('LobbyUpdated', function (payload) {
                 const games = payload.waitingGames || payload.games || [];
                 LobbyModule.renderWaitingGames(games);
+                LobbyModule.renderOnlinePlayers(payload.onlinePlayers || []);
 
                 DisplayNameModule.refreshUI();
             });
 
             Hub.on('GameCreated', function (payload) {
+                Storage.saveSeat(payload.gameId, Storage.getDisplayName(), payload.playerToken);
                 window.location.href = '/Game/' + payload.gameId;
             });
 
             Hub.on('GameJoined', function (payload) {
+                Storage.saveSeat(payload.gameId, Storage.getDisplayName(), payload.playerToken);
                 window.location.href = '/Game/' + payload.gameId;
             });
 
+            ChatModule.attach('lobby', {
+                messages: 'lobbyChatMessages',
+                form: 'lobbyChatForm',
+                input: 'lobbyChatInput',
+                error: 'lobbyChatError'
+            }, function (text) {
+                return Hub.invoke('SendLobbyChatMessage', text);
+            });
+
+            // The lobby group is lost on reconnect
+            Hub.onReconnected(function () {
+                Hub.invoke('SubscribeLobby').catch(function () { });
+            });
+
             try {
                 await Hub.ensureConnection();
 
                 // Initial load
                 await Hub.invoke('GetLobby');
+                await Hub.invoke('SubscribeLobby');
 
                 // Create game form
                 if (createForm) {
                     createForm.addEventListener('submit', this.handleCreateGame.bind(this));
+                    UI.bindVariantSelect('gameVariantSelect', 'boardVariantSelect', 'gravityCheck');
                 }
 
                 // resume game button
@@ -355,6 +857,31 @@
                 // Join game button(event delegation)
                 document.addEventListener('click', this.handleJoinGame.bind(this));
 
+                // Challenge button in the online players list
+                document.addEventListener('click', this.handleChallengePlayer.bind(this));
+
+                var quickPlayBtn = document.getElementById('quickPlayBtn');
+                if (quickPlayBtn) {
+                    quickPlayBtn.addEventListener('click', this.handleQuickPlay.bind(this));
+                    document.getElementById('quickPlayCancelBtn').addEventListener('click', this.handleCancelQuickPlay.bind(this));
+
+                    // The server drops the queue entry with the old connection
+                    Hub.onReconnected(function () {
+                        if (LobbyModule.quickPlayOptions) {
+                            Hub.invoke('EnterMatchmaking', LobbyModule.quickPlayOptions).catch(function () { });
+                        }
+                    });
+                }
+
+                var joinCodeForm = document.getElementById('joinCodeForm');
+                if (joinCodeForm) {
+                    joinCodeForm.addEventListener('submit', this.handleJoinByCode.bind(this));
+
+                    // Invite links opened without a display name land here with the code prefilled
+                    var joinCode = new URLSearchParams(window.location.search).get('join');
+                    if (joinCode) document.getElementById('joinCodeInput').value = joinCode;
+                }
+
             } catch {
                 // ignore connection errors
             }
@@ -366,9 +893,11 @@
             }, 0);
         },
 
+        // Watching and resuming both just open the game page; SubscribeGame decides the role
         handleResumeGame: function (e) {
             var target = e.target;
-            if (!target.classList.contains('js-resume-game')) return;
+            if (!target.classList.contains('js-resume-game') &&
+                !target.classList.contains('js-watch-game')) return;
 
             var gameId = target.getAttribute('data-game-id');
             if (!gameId) return;
@@ -388,9 +917,20 @@
                 return;
             }
 
+            // Empty value means a human opponent; otherwise the computer difficulty
+            var opponentSelect = document.getElementById('opponentSelect');
+            var options = this.readGameOptions();
+            options.computerDifficulty = opponentSelect && opponentSelect.value ? opponentSelect.value : null;
+
+            var privateCheck = document.getElementById('privateGameCheck');
+            options.isPrivate = !!(privateCheck && privateCheck.checked);
+
+            var passwordInput = document.getElementById('gamePasswordInput');
+            options.password = passwordInput && passwordInput.value ? passwordInput.value : null;
+
             try {
                 UI.setDisabled('createGameBtn', true);
-                await Hub.invoke('CreateGame', gameName);
+                await Hub.invoke('CreateGame', gameName, options);
                 await Hub.invoke('GetLobby');
             } catch (err) {
                 UI.showError('createGameError', err && err.message ? err.message : 'Failed to create game.');
@@ -399,6 +939,112 @@
             }
         },
 
+        // Board, time and rating settings from the create form; challenges reuse them
+        readGameOptions: function () {
+            var casualCheck = document.getElementById('casualGameCheck');
+            var options = { isCasual: !!(casualCheck && casualCheck.checked) };
+
+            var variantSelect = document.getElementById('gameVariantSelect');
+            if (variantSelect) options.variant = variantSelect.value;
+
+            // Board options carry their size and win length as data attributes
+            var boardSelect = document.getElementById('boardVariantSelect');
+            var boardOption = boardSelect ? boardSelect.options[boardSelect.selectedIndex] : null;
+            if (boardOption) {
+                options.boardSize = parseInt(boardOption.getAttribute('data-board-size'), 10);
+                options.winLength = parseInt(boardOption.getAttribute('data-win-length'), 10);
+                if (boardOption.hasAttribute('data-board-rows')) {
+                    options.boardRows = parseInt(boardOption.getAttribute('data-board-rows'), 10);
+                }
+            }
+
+            var gravityCheck = document.getElementById('gravityCheck');
+            options.gravity = !!(gravityCheck && gravityCheck.checked && !gravityCheck.disabled);
+
+            var clockSelect = document.getElementById('clockSelect');
+            var clockOption = clockSelect ? clockSelect.options[clockSelect.selectedIndex] : null;
+            if (clockOption && clockOption.hasAttribute('data-clock-initial')) {
+                options.clockInitialSeconds = parseInt(clockOption.getAttribute('data-clock-initial'), 10);
+                options.clockIncrementSeconds = parseInt(clockOption.getAttribute('data-clock-increment'), 10);
+            }
+
+            var moveTimeLimitSelect = document.getElementById('moveTimeLimitSelect');
+            if (moveTimeLimitSelect && moveTimeLimitSelect.value) {
+                options.moveTimeLimitSeconds = parseInt(moveTimeLimitSelect.value, 10);
+            }
+
+            return options;
+        },
+
+        // Waits in the queue until GameJoined arrives; redirecting is left to that handler
+        handleQuickPlay: async function () {
+            UI.hideError('quickPlayError');
+
+            var all = this.readGameOptions();
+            var options = { variant: all.variant, boardSize: all.boardSize, boardRows: all.boardRows, winLength: all.winLength, gravity: all.gravity };
+
+            try {
+                this.setQuickPlaySearching(true);
+                this.quickPlayOptions = options;
+                await Hub.invoke('EnterMatchmaking', options);
+            } catch (err) {
+                this.setQuickPlaySearching(false);
+                UI.showError('quickPlayError', err && err.message ? err.message : 'Failed to start quick play.');
+            }
+        },
+
+        handleCancelQuickPlay: async function () {
+            this.setQuickPlaySearching(false);
+
+            try {
+                await Hub.invoke('LeaveMatchmaking');
+            } catch {
+                // ignore connection errors
+            }
+        },
+
+        setQuickPlaySearching: function (searching) {
+            if (!searching) this.quickPlayOptions = null;
+
+            document.getElementById('quickPlayBtn').hidden = searching;
+            document.getElementById('quickPlayCancelBtn').hidden = !searching;
+            document.getElementById('quickPlayStatus').hidden = !searching;
+        },
+
+        handleJoinByCode: async function (e) {
+            e.preventDefault();
+            UI.hideError('joinCodeError');
+
+            var code = document.getElementById('joinCodeInput').value.trim();
+            if (!code) {
+                UI.showError('joinCodeError', 'Please enter a join code.');
+                return;
+            }
+
+            try {
+                await Hub.invoke('JoinGameByCode', code);
+            } catch (err) {
+                UI.showError('joinCodeError', err && err.message ? err.message : 'Failed to join game.');
+            }
+        },
+
+        handleChallengePlayer: async function (e) {
+            var target = e.target.closest('.js-challenge-player');
+            if (!target) return;
+
+            var name = target.getAttribute('data-display-name');
+
+            try {
+                target.disabled = true;
+                await Hub.invoke('ChallengePlayer', target.getAttribute('data-connection-id'), this.readGameOptions());
+                UI.showToast('Challenge sent to ' + name + '. Waiting for an answer...');
+            } catch (err) {
+                UI.showToast(err && err.message ? err.message : 'Failed to send challenge.');
+            } finally {
+                target.disabled = false;
+            }
+        },
+
         handleJoinGame: async function (e) {
             var target = e.target;
             if (!target || !target.classList || !target.classList.contains('js-join-game')) return;
@@ -420,9 +1066,19 @@
                     return;
                 }
 
-                await Hub.invoke('JoinGame', gameId);
-                await Hub.invoke('GetLobby');
-            } catch (err) {
+                // Locked games ask for the password; Games checks it
+                var password = null;
+                if (game && game.hasPassword) {
+                    password = prompt('Password for "' + game.friendlyName + '":');
+                    if (password === null) return;
+                }
+
+                var errorEl = document.getElementById('joinGameError');
+                if (errorEl) errorEl.hidden = true;
+
+                await Hub.invoke('JoinGame', gameId, null, password);
+                await Hub.invoke('GetLobby');
+            } catch (err) {
                 var errorEl = document.getElementById('joinGameError');
                 if (errorEl) {
                     errorEl.textContent = err && err.message ? err.message : 'Failed to join game.';
@@ -439,34 +1095,43 @@
         state: null,
         cellButtons: null,
         countdownInterval: null,
+        turnClockInterval: null,
+        chessClockInterval: null,
+        seatToken: null,
+        lastPayload: null,
+        shownBoard: null, // board as last painted, so gravity can animate the new mark
         init: async function () {
             if (!window.ticTacToeGame || !document.getElementById('board')) return;
 
-            var displayName = Storage.getDisplayName();
+            var gameData = window.ticTacToeGame;
+
+            // A stored seat token lets a fresh tab or device take its seat without the name modal
+            var seat = Storage.getSeat(gameData.gameId, Storage.getDisplayName());
+            var displayName = Storage.getDisplayName() || (seat ? seat.displayName : '');
+            var invite = new URLSearchParams(window.location.search).get('invite');
             if (!displayName) {
-                window.location.href = '/';
+                window.location.href = invite ? '/?join=' + encodeURIComponent(invite) : '/';
                 return;
             }
-
-            var gameData = window.ticTacToeGame;
-            var isHost = displayName === gameData.hostPlayer;
-            var isGuest = displayName === gameData.guestPlayer;
-
-            // Determine player mark (host = X, guest = O)
-            var playerMark = isHost ? 'X' : (isGuest ? 'O' : '?');
-
-            // Update UI with player mark
-            var markEl = document.getElementById('playerMarkDisplay');
-            if (markEl) markEl.textContent = playerMark;
+            if (!Storage.getDisplayName()) Storage.setDisplayName(displayName);
 
             this.state = {
                 gameId: gameData.gameId,
                 playerId: displayName,
-                playerMark: playerMark,
+                playerMark: '?',
+                variant: gameData.variant,
+                isSpectator: false,
+                hostPlayer: gameData.hostPlayer,
+                guestPlayer: gameData.guestPlayer,
                 status: 'WaitingForOpponent',
                 nextTurnPlayerId: '',
-                winnerPlayerId: ''
+                winnerPlayerId: '',
+                endReason: ''
             };
+            this.seatToken = seat ? seat.token : null;
+
+            // Best guess until SubscribeGame confirms the role
+            this.applyRole(displayName, displayName !== gameData.hostPlayer && displayName !== gameData.guestPlayer);
 
             this.cellButtons = document.querySelectorAll('.js-cell');
             this.setCellsEnabled(false);
@@ -474,48 +1139,201 @@
 
             // Register handler before connection
             Hub.on('GameUpdated', this.handleGameUpdated.bind(this));
+            Hub.onReconnected(this.subscribe.bind(this));
+
+            Hub.on('UndoAnswered', function (payload) {
+                if (payload.gameId !== GameModule.state.gameId || payload.player === GameModule.state.playerId) return;
+                UI.showToast(payload.player + (payload.accepted ? ' accepted the take-back.' : ' declined the take-back.'));
+            });
+
+            var gameId = this.state.gameId;
+            ChatModule.attach('game:' + gameId, {
+                messages: 'chatMessages',
+                form: 'chatForm',
+                input: 'chatInput',
+                error: 'chatError'
+            }, function (text) {
+                return Hub.invoke('SendChatMessage', gameId, text);
+            });
 
             try {
                 await Hub.reset();
+                Hub.seat = this.seatToken ? { gameId: this.state.gameId, token: this.seatToken } : null;
                 await Hub.ensureConnection();
 
-                await Hub.invoke('SubscribeGame', this.state.gameId);
+                // Opened from an invite link: take the open seat, otherwise just watch
+                if (invite && !this.seatToken && !gameData.guestPlayer && displayName !== gameData.hostPlayer) {
+                    try {
+                        await Hub.invoke('JoinGame', this.state.gameId, invite, null);
+                    } catch {
+                        // ignore join errors
+                    }
+                }
 
-                this.cellButtons.forEach(function (btn) {
-                    btn.addEventListener('click', this.handleCellClick.bind(this));
-                }, this);
+                await this.subscribe();
+
+                // Delegate from #board so cells rebuilt by applyBoard stay clickable
+                var boardEl = document.getElementById('board');
+                boardEl.addEventListener('click', this.handleCellClick.bind(this));
+                boardEl.addEventListener('mouseover', this.showDropPreview.bind(this));
+                boardEl.addEventListener('mouseleave', this.clearDropPreview.bind(this));
+
+                var toggle3d = document.getElementById('qubic3dToggle');
+                if (toggle3d) {
+                    toggle3d.addEventListener('change', function () {
+                        BoardView.setQubic3d(document.getElementById('board'), toggle3d.checked);
+                    });
+                }
+
+                document.getElementById('undoBtn').addEventListener('click', this.handleUndoClick.bind(this));
+                document.getElementById('undoAcceptBtn').addEventListener('click', this.handleUndoAnswer.bind(this, true));
+                document.getElementById('undoDeclineBtn').addEventListener('click', this.handleUndoAnswer.bind(this, false));
+                document.getElementById('resignBtn').addEventListener('click', this.handleResignClick.bind(this));
+                document.getElementById('offerDrawBtn').addEventListener('click', this.handleDrawClick.bind(this, 'OfferDraw'));
+                document.getElementById('acceptDrawBtn').addEventListener('click', this.handleDrawClick.bind(this, 'AcceptDraw'));
                 await Hub.invoke('GetLobby');
             } catch (err) {
                 UI.setAlertText('gameStatus', err && err.message ? err.message : 'Failed to connect to game.');
             }
         },
 
+        // Joins the game group and learns our role; the server hands back the seat token
+        subscribe: async function () {
+            var subscription = await Hub.invoke('SubscribeGame', this.state.gameId, this.seatToken);
+
+            if (subscription.playerToken) {
+                this.seatToken = subscription.playerToken;
+                Storage.saveSeat(this.state.gameId, subscription.displayName, subscription.playerToken);
+                Hub.seat = { gameId: this.state.gameId, token: subscription.playerToken };
+            }
+
+            var wasSpectator = this.state.isSpectator;
+            this.applyRole(subscription.displayName, subscription.isSpectator);
+            this.showInvite(subscription.inviteCode);
+
+            // The first GameUpdated arrives before SubscribeGame returns; redraw if the guess was wrong
+            if (wasSpectator !== subscription.isSpectator && this.lastPayload) {
+                this.handleGameUpdated(this.lastPayload);
+            }
+        },
+
+        // Private games: the host shares the link or the code while the guest seat is open
+        showInvite: function (inviteCode) {
+            var inviteEl = document.getElementById('inviteInfo');
+            if (!inviteEl || !inviteCode) return;
+
+            var link = window.location.origin + '/Game/' + encodeURIComponent(this.state.gameId) +
+                '?invite=' + encodeURIComponent(inviteCode);
+
+            document.getElementById('inviteCode').textContent = inviteCode;
+            document.getElementById('inviteLink').value = link;
+            inviteEl.hidden = this.state.status !== 'WaitingForOpponent';
+
+            document.getElementById('inviteCopyBtn').onclick = function () {
+                navigator.clipboard.writeText(link).catch(function () { });
+            };
+        },
+
+        applyRole: function (displayName, isSpectator) {
+            var isHost = displayName === this.state.hostPlayer;
+
+            this.state.playerId = displayName;
+            this.state.isSpectator = isSpectator;
+
+            this.state.playerMark = isSpectator ? 'Spectator' : this.seatMark(isHost);
+
+            // Update UI with player mark
+            var markEl = document.getElementById('playerMarkDisplay');
+            if (markEl) markEl.textContent = this.state.playerMark;
+
+            var bannerEl = document.getElementById('spectatorBanner');
+            if (bannerEl) bannerEl.hidden = !isSpectator;
+        },
+
+        // Host = X and guest = O, except in Notakto (both play X) and Wild (either mark, every move)
+        seatMark: function (isHost) {
+            if (this.state.variant === 'Notakto') return 'X';
+            if (this.state.variant === 'Wild') return 'X or O';
+            return isHost ? 'X' : 'O';
+        },
+
         handleGameUpdated: function (payload) {
             if (!payload || !this.state || payload.gameId !== this.state.gameId) return;
 
-            this.applyBoard(payload.board);
+            this.lastPayload = payload;
+
+            this.applyBoard(payload.board, payload.boardSize, payload.variant, payload.gravity);
+            BoardView.markSubBoards(document.getElementById('board'), payload.ultimate);
             this.state.status = payload.status;
             this.state.nextTurnPlayerId = payload.nextTurnPlayerId || '';
             this.state.winnerPlayerId = payload.winnerPlayerId || '';
+            this.state.endReason = payload.endReason || '';
+            this.state.hostPlayer = payload.hostPlayer || this.state.hostPlayer;
+            this.state.guestPlayer = payload.guestPlayer || this.state.guestPlayer;
+            this.state.rematchRequestedBy = payload.rematchRequestedBy || [];
+
+            var inviteEl = document.getElementById('inviteInfo');
+            if (inviteEl && payload.status !== 'WaitingForOpponent') inviteEl.hidden = true;
+
+            var playersEl = document.getElementById('playersLine');
+            if (playersEl) {
+                var showMarks = this.seatMark(true) !== this.seatMark(false);
+                playersEl.innerHTML = UI.playerLabel(payload.hostPlayer, payload.hostRating) + (showMarks ? ' (X)' : '') + ' vs ' +
+                    (payload.guestPlayer ? UI.playerLabel(payload.guestPlayer, payload.guestRating) + (showMarks ? ' (O)' : '') : '<em>waiting</em>');
+            }
+
+            // Both players accepted: everyone on this page follows to the new game
+            if (payload.rematchGameId) {
+                this.stopCountdown();
+                window.location.href = '/Game/' + payload.rematchGameId;
+                return;
+            }
+
+            this.updateSeriesScore(payload.series);
+            this.startTurnClock(payload.turnRemainingMs);
+            this.startChessClocks(payload.clocks);
+
+            var spectatorCountEl = document.getElementById('spectatorCount');
+            if (spectatorCountEl) {
+                var count = payload.spectatorCount || 0;
+                spectatorCountEl.textContent = count === 1 ? '1 spectator' : count + ' spectators';
+            }
+
+            this.updateUndoUI(payload);
+            this.updateGameActions(payload);
+
+            var markPicker = document.getElementById('markPicker');
+            if (markPicker) {
+                markPicker.hidden = !payload.playersChooseMark || this.state.isSpectator || payload.status !== 'InProgress';
+            }
 
             this.updateStatusText();
             this.setCellsEnabled(
+                !this.state.isSpectator &&
                 this.state.status === 'InProgress' &&
                 this.state.nextTurnPlayerId === this.state.playerId
             );
         },
 
         handleCellClick: async function (e) {
-            var btn = e.currentTarget;
+            var btn = e.target.closest('.js-cell');
+            if (!btn || btn.disabled) return;
 
             if (this.state.status !== 'InProgress') return;
             if (this.state.nextTurnPlayerId !== this.state.playerId) return;
 
             var idx = parseInt(btn.getAttribute('data-cell-index'), 10);
 
+            // Wild moves place whichever mark is picked; otherwise the server knows our mark
+            var markChoice = document.querySelector('input[name="markChoice"]:checked');
+            var mark = this.lastPayload && this.lastPayload.playersChooseMark && markChoice ? markChoice.value : null;
+
+            // Gravity games take a column; the server works out where the mark lands
+            if (this.lastPayload && this.lastPayload.gravity) idx = idx % this.lastPayload.boardSize;
+
             try {
                 this.setCellsEnabled(false);
-                await Hub.invoke('MakeMove', this.state.gameId, idx);
+                await Hub.invoke('MakeMove', this.state.gameId, idx, mark);
             } catch (err) {
                 UI.setAlertText('gameStatus', err && err.message ? err.message : 'Move failed.');
                 this.setCellsEnabled(
@@ -527,33 +1345,96 @@
 
         setCellsEnabled: function (enabled) {
             if (!this.cellButtons) return;
+
+            // Ultimate: only empty cells of the highlighted sub-boards can be played.
+            // Gravity: any cell of a column that still has room, since the mark drops anyway.
+            var payload = this.lastPayload;
+            var ultimate = payload && payload.ultimate;
+            var gravity = payload && payload.gravity;
             this.cellButtons.forEach(function (btn) {
-                btn.disabled = !enabled;
+                var idx = parseInt(btn.getAttribute('data-cell-index'), 10);
+                var playable = ultimate
+                    ? !btn.textContent && btn.parentElement.classList.contains('active')
+                    : !gravity || payload.board[idx % payload.boardSize] === 'Empty';
+                btn.disabled = !enabled || !playable;
             });
         },
 
-        applyBoard: function (board) {
+        applyBoard: function (board, boardSize, variant, gravity) {
             if (!board || !Array.isArray(board)) return;
 
-            this.cellButtons.forEach(function (btn) {
-                var idx = parseInt(btn.getAttribute('data-cell-index'), 10);
-                var value = board[idx];
+            // Rebuild the grid when the payload describes a different board than the one rendered
+            var boardEl = document.getElementById('board');
+            if (!this.cellButtons || this.cellButtons.length !== board.length || boardEl.getAttribute('data-variant') !== variant) {
+                this.cellButtons = BoardView.renderGrid(
+                    boardEl,
+                    boardSize || Math.round(Math.sqrt(board.length)),
+                    variant,
+                    board.length);
+                this.shownBoard = null;
+
+                var toggle3d = document.getElementById('qubic3dToggle');
+                BoardView.setQubic3d(boardEl, !!toggle3d && toggle3d.checked);
+            }
 
-                if (value === 'X') {
-                    btn.textContent = 'X';
-                    btn.classList.remove('text-danger');
-                    btn.classList.add('text-primary');
-                } else if (value === 'O') {
-                    btn.textContent = 'O';
-                    btn.classList.remove('text-primary');
-                    btn.classList.add('text-danger');
-                } else {
-                    btn.textContent = '';
-                    btn.classList.remove('text-primary', 'text-danger');
+            this.clearDropPreview();
+            BoardView.paint(this.cellButtons, board);
+
+            // Gravity: marks that just appeared fall from the top of their column
+            var previous = this.shownBoard;
+            if (gravity && previous) {
+                this.cellButtons.forEach(function (btn) {
+                    var idx = parseInt(btn.getAttribute('data-cell-index'), 10);
+                    if (previous[idx] !== 'Empty' || board[idx] === 'Empty') return;
+
+                    btn.style.setProperty('--ttt-drop-rows', Math.floor(idx / boardSize));
+                    btn.classList.remove('ttt-drop');
+                    void btn.offsetWidth; // restart the animation
+                    btn.classList.add('ttt-drop');
+                });
+            }
+
+            this.shownBoard = board.slice();
+        },
+
+        // Gravity: shows where a mark dropped into the hovered column would land
+        showDropPreview: function (e) {
+            var btn = e.target.closest('.js-cell');
+            var payload = this.lastPayload;
+            if (!btn || btn.disabled || !payload || !payload.gravity) return;
+
+            this.clearDropPreview();
+
+            var column = parseInt(btn.getAttribute('data-cell-index'), 10) % payload.boardSize;
+            var landing = -1;
+            for (var idx = column; idx < payload.board.length; idx += payload.boardSize) {
+                if (payload.board[idx] === 'Empty') landing = idx;
+            }
+            if (landing === -1) return;
+
+            var markChoice = document.querySelector('input[name="markChoice"]:checked');
+            var mark = payload.playersChooseMark && markChoice ? markChoice.value : this.state.playerMark;
+
+            this.cellButtons.forEach(function (cell) {
+                var idx = parseInt(cell.getAttribute('data-cell-index'), 10);
+                if (idx % payload.boardSize !== column) return;
+
+                cell.classList.add('ttt-column-hover');
+                if (idx === landing) {
+                    cell.classList.add('ttt-drop-preview');
+                    cell.setAttribute('data-preview', mark);
                 }
             });
         },
 
+        clearDropPreview: function () {
+            if (!this.cellButtons) return;
+            this.cellButtons.forEach(function (cell) {
+                cell.classList.remove('ttt-column-hover', 'ttt-drop-preview');
+                cell.removeAttribute('data-preview');
+            });
+        },
+
         updateStatusText: function () {
             var state = this.state;
             var statusEl = document.getElementById('gameStatus');
@@ -569,23 +1450,48 @@
                 return;
             }
 
+            // Cancelled games finish without a result, so there is nothing to announce or rematch
+            if (state.status === 'Cancelled' || state.endReason === 'Cancelled') {
+                UI.setAlertText('gameStatus', 'Game cancelled.');
+                if (statusEl) statusEl.classList.add('alert-info');
+                return;
+            }
+
+            if (state.isSpectator) {
+                this.updateSpectatorStatusText(statusEl);
+                return;
+            }
+
             if (state.status === 'Finished') {
                 let message = '';
                 if (state.winnerPlayerId) {
                     if (state.winnerPlayerId === state.playerId) {
-                        message = 'You won!';
+                        message = state.endReason === 'Resignation' ? 'You won by resignation!'
+                            : (state.endReason === 'Timeout' ? 'You won on time!' : 'You won!');
                         if (statusEl) statusEl.classList.add('alert-success');
                     } else {
-                        message = 'You lost.';
+                        message = state.endReason === 'Resignation' ? 'You resigned.'
+                            : (state.endReason === 'Timeout' ? 'You lost on time.' : 'You lost.');
                         if (statusEl) statusEl.classList.add('alert-danger');
                     }
                 } else {
-                    message = 'Draw.';
+                    message = GameModule.drawText(state.endReason);
                     if (statusEl) statusEl.classList.add('alert-info');
                 }
 
                 UI.setAlertText('gameStatus', message);
 
+                // Later updates (rematch requests, spectators) must not restart the modal or countdown
+                if (document.getElementById('gameResultModal')) {
+                    this.updateRematchUI();
+                    return;
+                }
+
+                // Tournament games lead back to the bracket, where the next pairing shows up
+                var tournamentId = this.lastPayload && this.lastPayload.tournamentId;
+                var backUrl = tournamentId ? '/Tournament/' + encodeURIComponent(tournamentId) : '/Home/Index';
+                var backName = tournamentId ? 'tournament' : 'lobby';
+
                 // === SHOW MODAL POPUP ===
                 let modalHtml = `
             <div class="modal fade" id="gameResultModal" tabindex="-1" aria-hidden="true">
@@ -595,7 +1501,13 @@
                             <h5 class="modal-title">Game Over</h5>
                         </div>
                         <div class="modal-body">
-                            <p>${message} You will be redirected to the lobby in <span id="countdown">10</span> seconds.</p>
+                            <p>${message} <span id="countdownText">You will be redirected to the ${backName} in <span id="countdown">10</span> seconds.</span></p>
+                            <p class="mb-0 fw-semibold" id="rematchStatus" hidden></p>
+                        </div>
+                        <div class="modal-footer">
+                            <a class="btn btn-outline-secondary" href="/Game/${state.gameId}/Replay">Watch replay</a>
+                            <a class="btn btn-outline-secondary" href="${backUrl}">Back to ${backName}</a>
+                            <button type="button" class="btn btn-primary" id="rematchBtn" ${tournamentId ? 'hidden' : ''}>Rematch</button>
                         </div>
                     </div>
                 </div>
@@ -610,6 +1522,9 @@
                 var bootstrapModal = new bootstrap.Modal(resultModalEl, { backdrop: 'static', keyboard: false });
                 bootstrapModal.show();
 
+                document.getElementById('rematchBtn').addEventListener('click', this.handleRematchClick.bind(this));
+                this.updateRematchUI();
+
                 // Countdown
                 let countdownEl = document.getElementById('countdown');
                 let countdown = 10;
@@ -623,27 +1538,634 @@
                         clearInterval(this.countdownInterval);
                         this.countdownInterval = null;
                         bootstrapModal.hide();
-                        window.location.href = '/Home/Index';
+                        window.location.href = backUrl;
                     }
                 }, 1000);
 
                 return;
             }
 
-            if (state.nextTurnPlayerId === state.playerId) {
+            var ultimate = this.lastPayload && this.lastPayload.ultimate;
+            if (state.nextTurnPlayerId === state.playerId && ultimate) {
+                UI.setAlertText('gameStatus', ultimate.activeSubBoard == null
+                    ? 'Your turn: play in any open board.'
+                    : 'Your turn: play in the highlighted board.');
+            } else if (state.nextTurnPlayerId === state.playerId) {
                 UI.setAlertText('gameStatus', 'Your turn.');
             } else {
                 UI.setAlertText('gameStatus', "Opponent's turn.");
             }
             if (statusEl) statusEl.classList.add('alert-info');
+        },
+
+        // Counts down locally from the server's remaining time; the server enforces the forfeit
+        startTurnClock: function (remainingMs) {
+            if (this.turnClockInterval) clearInterval(this.turnClockInterval);
+            this.turnClockInterval = null;
+
+            var clockEl = document.getElementById('turnClock');
+            if (!clockEl) return;
+
+            if (remainingMs === null || remainingMs === undefined) {
+                clockEl.hidden = true;
+                return;
+            }
+
+            var deadline = Date.now() + remainingMs;
+            var isMine = this.state.nextTurnPlayerId === this.state.playerId;
+            var render = () => {
+                var seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+                var who = this.state.isSpectator ? this.state.nextTurnPlayerId : (isMine ? 'You' : 'Opponent');
+                clockEl.textContent = who + ': ' + seconds + 's left';
+                clockEl.classList.toggle('text-danger', seconds <= 5);
+                if (seconds <= 0 && this.turnClockInterval) {
+                    clearInterval(this.turnClockInterval);
+                    this.turnClockInterval = null;
+                }
+            };
+
+            clockEl.hidden = false;
+            render();
+            this.turnClockInterval = setInterval(render, 250);
+        },
+
+        // Shows both players' total time; only the clock of the player to move ticks
+        startChessClocks: function (clocks) {
+            if (this.chessClockInterval) clearInterval(this.chessClockInterval);
+            this.chessClockInterval = null;
+
+            var containerEl = document.getElementById('chessClocks');
+            if (!containerEl) return;
+
+            containerEl.hidden = !clocks || clocks.length === 0;
+            if (containerEl.hidden) return;
+
+            var receivedAt = Date.now();
+            var seats = [
+                { el: document.getElementById('hostClock'), player: this.state.hostPlayer },
+                { el: document.getElementById('guestClock'), player: this.state.guestPlayer }
+            ];
+
+            var format = function (ms) {
+                var totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+                var minutes = Math.floor(totalSeconds / 60);
+                var seconds = totalSeconds % 60;
+                return minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+            };
+
+            var render = function () {
+                seats.forEach(function (seat) {
+                    var clock = clocks.find(function (c) { return c.player === seat.player; });
+                    if (!seat.el || !clock) return;
+
+                    var remaining = clock.running ? clock.remainingMs - (Date.now() - receivedAt) : clock.remainingMs;
+                    seat.el.textContent = seat.player + '  ' + format(remaining);
+                    seat.el.classList.toggle('running', clock.running);
+                    seat.el.classList.toggle('text-danger', remaining <= 10000);
+                });
+            };
+
+            render();
+            if (clocks.some(function (c) { return c.running; })) {
+                this.chessClockInterval = setInterval(render, 200);
+            }
+        },
+
+        handleRematchClick: async function () {
+            // Stay on the page while waiting for the opponent's answer
+            this.stopCountdown();
+            UI.setDisabled('rematchBtn', true);
+
+            try {
+                await Hub.invoke('RequestRematch', this.state.gameId);
+            } catch (err) {
+                UI.setDisabled('rematchBtn', false);
+                UI.showError('rematchStatus', err && err.message ? err.message : 'Rematch failed.');
+            }
+        },
+
+        stopCountdown: function () {
+            if (this.countdownInterval) clearInterval(this.countdownInterval);
+            this.countdownInterval = null;
+
+            var countdownTextEl = document.getElementById('countdownText');
+            if (countdownTextEl) countdownTextEl.hidden = true;
+        },
+
+        updateRematchUI: function () {
+            var requestedBy = this.state.rematchRequestedBy || [];
+            var iAsked = requestedBy.indexOf(this.state.playerId) >= 0;
+            var opponentAsked = requestedBy.some(function (p) { return p !== this.state.playerId; }, this);
+
+            if (iAsked) {
+                UI.setDisabled('rematchBtn', true);
+                UI.showError('rematchStatus', 'Waiting for your opponent to accept the rematch...');
+            } else if (opponentAsked) {
+                this.stopCountdown();
+                UI.setAlertText('rematchBtn', 'Accept rematch');
+                UI.showError('rematchStatus', 'Your opponent wants a rematch!');
+            }
+        },
+
+        // Take-backs: the requester waits, the opponent gets accept/decline buttons
+        updateUndoUI: function (payload) {
+            var controls = document.getElementById('undoControls');
+            if (!controls) return;
+
+            var pending = payload.undoRequestedBy;
+            controls.hidden = this.state.isSpectator || !payload.allowsTakeBacks ||
+                payload.status !== 'InProgress';
+            if (controls.hidden) return;
+
+            var isRequester = pending === this.state.playerId;
+            var isAsked = !!pending && !isRequester;
+            var hasMoved = (payload.playersWithMoves || []).indexOf(this.state.playerId) >= 0;
+
+            var undoBtn = document.getElementById('undoBtn');
+            undoBtn.hidden = !!pending;
+            undoBtn.disabled = !hasMoved;
+
+            document.getElementById('undoAcceptBtn').hidden = !isAsked;
+            document.getElementById('undoDeclineBtn').hidden = !isAsked;
+
+            document.getElementById('undoStatus').textContent = isRequester
+                ? 'Waiting for your opponent to accept the take-back...'
+                : (isAsked ? pending + ' asks to take back their last move.' : '');
+        },
+
+        handleUndoClick: async function () {
+            try {
+                await Hub.invoke('RequestUndo', this.state.gameId);
+            } catch (err) {
+                UI.showToast(err && err.message ? err.message : 'Failed to request a take-back.');
+            }
+        },
+
+        handleUndoAnswer: async function (accept) {
+            try {
+                await Hub.invoke('RespondToUndo', this.state.gameId, accept);
+            } catch (err) {
+                UI.showToast(err && err.message ? err.message : 'Failed to answer the take-back.');
+            }
+        },
+
+        // Resign and draw offers: an offer stands until the opponent accepts it or someone moves
+        updateGameActions: function (payload) {
+            var actions = document.getElementById('gameActions');
+            if (!actions) return;
+
+            actions.hidden = this.state.isSpectator || payload.status !== 'InProgress';
+            if (actions.hidden) return;
+
+            var offeredBy = payload.drawOfferedBy;
+            var isOfferer = offeredBy === this.state.playerId;
+            var isOffered = !!offeredBy && !isOfferer;
+
+            document.getElementById('offerDrawBtn').hidden = !!offeredBy;
+            document.getElementById('acceptDrawBtn').hidden = !isOffered;
+            document.getElementById('drawStatus').textContent = isOfferer
+                ? 'Draw offered.'
+                : (isOffered ? offeredBy + ' offers a draw.' : '');
+        },
+
+        handleResignClick: async function () {
+            if (!window.confirm('Resign this game?')) return;
+
+            try {
+                await Hub.invoke('Resign', this.state.gameId);
+            } catch (err) {
+                UI.showToast(err && err.message ? err.message : 'Failed to resign.');
+            }
+        },
+
+        handleDrawClick: async function (method) {
+            try {
+                await Hub.invoke(method, this.state.gameId);
+            } catch (err) {
+                UI.showToast(err && err.message ? err.message : 'Draw offer failed.');
+            }
+        },
+
+        updateSeriesScore: function (series) {
+            var el = document.getElementById('seriesScore');
+            if (!el || !series || !series.wins) return;
+
+            var winsOf = function (player) {
+                var entry = series.wins.find(function (w) { return w.player === player; });
+                return entry ? entry.count : 0;
+            };
+            var played = series.wins.reduce(function (sum, w) { return sum + w.count; }, 0) + series.draws;
+
+            el.hidden = played === 0;
+
+            if (this.state.isSpectator) {
+                el.textContent = 'Series: ' + this.state.hostPlayer + ' ' + winsOf(this.state.hostPlayer) +
+                    ' - ' + winsOf(this.state.guestPlayer) + ' ' + this.state.guestPlayer +
+                    ' (' + series.draws + ' drawn)';
+                return;
+            }
+
+            var opponent = this.state.playerId === this.state.hostPlayer ? this.state.guestPlayer : this.state.hostPlayer;
+            el.textContent = 'Series: ' + winsOf(this.state.playerId) + ' wins, ' +
+                series.draws + ' draws, ' + winsOf(opponent) + ' losses';
+        },
+
+        drawText: function (endReason) {
+            if (endReason === 'AgreedDraw') return 'Draw by agreement.';
+            if (endReason === 'BoardFull') return 'Draw: the board is full.';
+            return 'Draw.';
+        },
+
+        // Spectators see names instead of "you", and stay on the page when the game ends
+        updateSpectatorStatusText: function (statusEl) {
+            var state = this.state;
+            var markOf = function (player) {
+                return GameModule.seatMark(player === state.hostPlayer);
+            };
+
+            if (statusEl) statusEl.classList.add('alert-info');
+
+            if (state.status === 'Finished') {
+                var how = state.endReason === 'Resignation' ? ' by resignation'
+                    : (state.endReason === 'Timeout' ? ' on time' : '');
+                UI.setAlertText('gameStatus', state.winnerPlayerId
+                    ? state.winnerPlayerId + ' (' + markOf(state.winnerPlayerId) + ') won' + how + '.'
+                    : GameModule.drawText(state.endReason));
+                return;
+            }
+
+            UI.setAlertText('gameStatus', state.nextTurnPlayerId
+                ? state.nextTurnPlayerId + ' (' + markOf(state.nextTurnPlayerId) + ') to move.'
+                : 'Waiting for the game to start...');
+        }
+
+    };
+
+    // =========================================================================
+    // Replay Module - Step through the moves of a finished game
+    // =========================================================================
+    var ReplayModule = {
+        AUTOPLAY_DELAY_MS: 800,
+
+        moves: [],
+        position: 0,
+        cellButtons: null,
+        autoplayInterval: null,
+
+        init: function () {
+            var data = window.ticTacToeReplay;
+            var boardEl = document.getElementById('replayBoard');
+            if (!data || !boardEl) return;
+
+            this.moves = data.moves || [];
+            this.cellButtons = boardEl.querySelectorAll('.js-cell');
+            this.cellButtons.forEach(function (btn) {
+                btn.disabled = true;
+            });
+
+            var bind = function (id, handler) {
+                var el = document.getElementById(id);
+                if (el) el.addEventListener('click', handler.bind(this));
+            }.bind(this);
+
+            bind('replayFirstBtn', function () { this.stopAutoplay(); this.goTo(0); });
+            bind('replayBackBtn', function () { this.stopAutoplay(); this.goTo(this.position - 1); });
+            bind('replayForwardBtn', function () { this.stopAutoplay(); this.goTo(this.position + 1); });
+            bind('replayLastBtn', function () { this.stopAutoplay(); this.goTo(this.moves.length); });
+            bind('replayPlayBtn', this.toggleAutoplay);
+
+            var slider = document.getElementById('replaySlider');
+            if (slider) {
+                slider.addEventListener('input', function () {
+                    this.stopAutoplay();
+                    this.goTo(parseInt(slider.value, 10));
+                }.bind(this));
+            }
+
+            var moveList = document.getElementById('replayMoveList');
+            if (moveList) {
+                moveList.addEventListener('click', function (e) {
+                    var item = e.target.closest('.js-replay-move');
+                    if (!item) return;
+                    this.stopAutoplay();
+                    this.goTo(parseInt(item.getAttribute('data-move-number'), 10));
+                }.bind(this));
+            }
+
+            this.goTo(0);
+        },
+
+        // Shows the board after the first `position` moves
+        goTo: function (position) {
+            position = Math.max(0, Math.min(this.moves.length, position || 0));
+            this.position = position;
+
+            var board = [];
+            this.moves.slice(0, position).forEach(function (m) {
+                board[m.cellIndex] = m.mark;
+            });
+            BoardView.paint(this.cellButtons, board);
+
+            var slider = document.getElementById('replaySlider');
+            if (slider) slider.value = position;
+
+            document.querySelectorAll('.js-replay-move').forEach(function (item) {
+                item.classList.toggle('active', parseInt(item.getAttribute('data-move-number'), 10) === position);
+            });
+
+            if (position === 0) {
+                UI.setAlertText('replayStatus', 'Start of game.');
+            } else {
+                var move = this.moves[position - 1];
+                UI.setAlertText('replayStatus',
+                    'Move ' + position + ' of ' + this.moves.length + ': ' + move.player + ' played ' + move.mark + '.');
+            }
+        },
+
+        toggleAutoplay: function () {
+            if (this.autoplayInterval) {
+                this.stopAutoplay();
+                return;
+            }
+
+            // Restart from the beginning when already at the end
+            if (this.position >= this.moves.length) this.goTo(0);
+
+            UI.setAlertText('replayPlayBtn', 'Pause');
+            this.autoplayInterval = setInterval(() => {
+                if (this.position >= this.moves.length) {
+                    this.stopAutoplay();
+                    return;
+                }
+                this.goTo(this.position + 1);
+            }, this.AUTOPLAY_DELAY_MS);
+        },
+
+        stopAutoplay: function () {
+            if (this.autoplayInterval) clearInterval(this.autoplayInterval);
+            this.autoplayInterval = null;
+            UI.setAlertText('replayPlayBtn', 'Play');
         }
+    };
+
+    // =========================================================================
+    // Tournament Module - Tournament list and live bracket
+    // =========================================================================
+    var TournamentModule = {
+        tournamentId: null,
 
+        init: async function () {
+            var form = document.getElementById('createTournamentForm');
+            if (form) {
+                form.addEventListener('submit', this.handleCreateTournament.bind(this));
+                document.getElementById('tournamentFormatSelect').addEventListener('change', this.updatePoolField);
+                this.updatePoolField();
+                UI.bindVariantSelect('tournamentVariantSelect', 'tournamentBoardSelect', 'tournamentGravityCheck');
+            }
+
+            var root = document.getElementById('tournament');
+            if (!root) return;
+
+            this.tournamentId = root.getAttribute('data-tournament-id');
+
+            Hub.on('TournamentUpdated', this.handleTournamentUpdated.bind(this));
+            Hub.onReconnected(this.subscribe.bind(this));
+
+            document.getElementById('tournamentRegisterBtn').addEventListener('click', this.handleAction.bind(this, 'RegisterForTournament'));
+            document.getElementById('tournamentWithdrawBtn').addEventListener('click', this.handleAction.bind(this, 'WithdrawFromTournament'));
+            document.getElementById('tournamentStartBtn').addEventListener('click', this.handleAction.bind(this, 'StartTournament'));
+
+            try {
+                await this.subscribe();
+            } catch (err) {
+                UI.setAlertText('tournamentStatus', err && err.message ? err.message : 'Failed to load the tournament.');
+            }
+        },
+
+        subscribe: function () {
+            return Hub.invoke('SubscribeTournament', this.tournamentId);
+        },
+
+        updatePoolField: function () {
+            document.getElementById('tournamentPoolCountGroup').hidden =
+                document.getElementById('tournamentFormatSelect').value !== 'RoundRobin';
+        },
+
+        handleCreateTournament: async function (e) {
+            e.preventDefault();
+            UI.hideError('createTournamentError');
+
+            if (!Storage.getDisplayName()) {
+                UI.showError('createTournamentError', 'Choose a display name in the lobby first.');
+                return;
+            }
+
+            var format = document.getElementById('tournamentFormatSelect').value;
+            var board = document.getElementById('tournamentBoardSelect').selectedOptions[0];
+            var moveTime = document.getElementById('tournamentMoveTimeSelect').value;
+
+            var options = {
+                format: format,
+                maxPlayers: parseInt(document.getElementById('tournamentMaxPlayersInput').value, 10) || null,
+                poolCount: format === 'RoundRobin'
+                    ? parseInt(document.getElementById('tournamentPoolCountInput').value, 10) || null
+                    : null,
+                gameOptions: {
+                    variant: document.getElementById('tournamentVariantSelect').value,
+                    boardSize: parseInt(board.getAttribute('data-board-size'), 10),
+                    boardRows: board.hasAttribute('data-board-rows') ? parseInt(board.getAttribute('data-board-rows'), 10) : null,
+                    winLength: parseInt(board.getAttribute('data-win-length'), 10),
+                    gravity: document.getElementById('tournamentGravityCheck').checked &&
+                        !document.getElementById('tournamentGravityCheck').disabled,
+                    moveTimeLimitSeconds: moveTime ? parseInt(moveTime, 10) : null,
+                    isCasual: document.getElementById('tournamentCasualCheck').checked
+                }
+            };
+
+            try {
+                UI.setDisabled('createTournamentBtn', true);
+                var created = await Hub.invoke('CreateTournament', document.getElementById('tournamentNameInput').value, options);
+                window.location.href = '/Tournament/' + encodeURIComponent(created.tournamentId);
+            } catch (err) {
+                UI.showError('createTournamentError', err && err.message ? err.message : 'Failed to create the tournament.');
+                UI.setDisabled('createTournamentBtn', false);
+            }
+        },
+
+        handleAction: async function (methodName) {
+            UI.hideError('tournamentError');
+            try {
+                await Hub.invoke(methodName, this.tournamentId);
+            } catch (err) {
+                UI.showError('tournamentError', err && err.message ? err.message : 'Something went wrong.');
+            }
+        },
+
+        handleTournamentUpdated: function (t) {
+            if (!t || t.tournamentId !== this.tournamentId) return;
+
+            var me = Storage.getDisplayName();
+            var isRegistering = t.status === 'Registering';
+            var isRegistered = t.players.some(function (p) { return p.name === me; });
+
+            if (t.status === 'Finished') {
+                UI.setAlertText('tournamentStatus', t.winners.length === 1
+                    ? 'Finished. ' + t.winners[0] + ' wins the tournament!'
+                    : 'Finished. Pool winners: ' + t.winners.join(', ') + '.');
+            } else {
+                UI.setAlertText('tournamentStatus', isRegistering
+                    ? 'Registration is open. The organizer starts the tournament when everyone is in.'
+                    : 'In progress. Games start as soon as both players are free.');
+            }
+
+            // Players go through the bracket page, so their next game is announced here
+            var nextEl = document.getElementById('tournamentNextGame');
+            var mine = t.matches.find(function (m) { return m.status === 'InProgress' && (m.playerA === me || m.playerB === me); });
+            nextEl.hidden = !mine;
+            if (mine) {
+                var opponent = mine.playerA === me ? mine.playerB : mine.playerA;
+                nextEl.innerHTML = 'Your game against ' + UI.escapeHtml(opponent) + ' is ready. ' +
+                    '<a class="alert-link" href="/Game/' + encodeURIComponent(mine.gameId) + '">Play now</a>';
+            }
+
+            document.getElementById('tournamentRegistration').hidden = false;
+            UI.setAlertText('tournamentPlayersTitle', 'Players (' + t.players.length + '/' + t.maxPlayers + ')');
+            document.getElementById('tournamentPlayersList').innerHTML = t.players.length === 0
+                ? '<li class="list-inline-item text-muted">Nobody has registered yet.</li>'
+                : t.players.map(function (p) {
+                    return '<li class="list-inline-item">' + UI.playerLabel(p.name, p.rating) + '</li>';
+                }).join('');
+
+            document.getElementById('tournamentRegisterBtn').hidden = !isRegistering || !me || isRegistered;
+            document.getElementById('tournamentWithdrawBtn').hidden = !isRegistering || !isRegistered;
+            document.getElementById('tournamentStartBtn').hidden = !isRegistering || t.organizer !== me;
+            document.getElementById('tournamentNameHint').hidden = !isRegistering || !!me;
+
+            document.getElementById('tournamentBracket').innerHTML = t.format === 'RoundRobin'
+                ? this.renderPools(t, me)
+                : this.renderBrackets(t, me);
+        },
+
+        renderBrackets: function (t, me) {
+            var sections = [
+                { bracket: 'Winners', title: t.format === 'DoubleElimination' ? 'Winners bracket' : 'Bracket' },
+                { bracket: 'Losers', title: 'Losers bracket' },
+                { bracket: 'GrandFinal', title: 'Grand final' }
+            ];
+
+            return sections.map(function (section) {
+                var matches = t.matches.filter(function (m) { return m.bracket === section.bracket; });
+                if (matches.length === 0) return '';
+
+                var rounds = Math.max.apply(null, matches.map(function (m) { return m.round; }));
+                var columns = [];
+                for (var round = 1; round <= rounds; round++) {
+                    var cards = matches
+                        .filter(function (m) { return m.round === round; })
+                        .sort(function (a, b) { return a.position - b.position; })
+                        .map(function (m) { return TournamentModule.renderMatch(m, me); })
+                        .join('');
+
+                    columns.push('<div class="ttt-bracket-round"><div class="fw-semibold text-muted">' +
+                        TournamentModule.roundTitle(t, section.bracket, round, rounds) + '</div>' + cards + '</div>');
+                }
+
+                return '<h4 class="mt-3">' + section.title + '</h4><div class="ttt-bracket">' + columns.join('') + '</div>';
+            }).join('');
+        },
+
+        roundTitle: function (t, bracket, round, rounds) {
+            if (bracket === 'GrandFinal') return round === 1 ? 'Final' : 'Deciding game';
+            if (bracket === 'Winners' && t.format === 'SingleElimination') {
+                if (round === rounds) return 'Final';
+                if (round === rounds - 1) return 'Semi-finals';
+            }
+            return 'Round ' + round;
+        },
+
+        // Round-robin pools: a table per pool, then its games round by round
+        renderPools: function (t, me) {
+            if (t.status === 'Registering') return '';
+
+            var html = '';
+            for (var pool = 0; pool < t.poolCount; pool++) {
+                var standings = t.standings.filter(function (s) { return s.pool === pool; });
+                var matches = t.matches.filter(function (m) { return m.pool === pool; });
+                if (standings.length === 0) continue;
+
+                var rows = standings.map(function (s, i) {
+                    var isWinner = t.winners.indexOf(s.player) !== -1;
+                    return '<tr class="' + (isWinner ? 'table-success' : '') + '">' +
+                        '<td>' + (i + 1) + '</td>' +
+                        '<td>' + UI.playerLabel(s.player) + '</td>' +
+                        '<td class="text-end">' + s.played + '</td>' +
+                        '<td class="text-end">' + s.wins + '</td>' +
+                        '<td class="text-end">' + s.draws + '</td>' +
+                        '<td class="text-end">' + s.losses + '</td>' +
+                        '<td class="text-end fw-semibold">' + s.points + '</td>' +
+                        '</tr>';
+                }).join('');
+
+                var rounds = Math.max.apply(null, matches.map(function (m) { return m.round; }));
+                var columns = [];
+                for (var round = 1; round <= rounds; round++) {
+                    columns.push('<div class="ttt-bracket-round"><div class="fw-semibold text-muted">Round ' + round + '</div>' +
+                        matches
+                            .filter(function (m) { return m.round === round; })
+                            .map(function (m) { return TournamentModule.renderMatch(m, me); })
+                            .join('') +
+                        '</div>');
+                }
+
+                html += (t.poolCount > 1 ? '<h4 class="mt-3">Pool ' + (pool + 1) + '</h4>' : '') +
+                    '<table class="table table-sm align-middle"><thead><tr>' +
+                    '<th scope="col">#</th><th scope="col">Player</th>' +
+                    '<th scope="col" class="text-end">Played</th><th scope="col" class="text-end">Won</th>' +
+                    '<th scope="col" class="text-end">Drawn</th><th scope="col" class="text-end">Lost</th>' +
+                    '<th scope="col" class="text-end">Points</th>' +
+                    '</tr></thead><tbody>' + rows + '</tbody></table>' +
+                    '<div class="ttt-bracket">' + columns.join('') + '</div>';
+            }
+
+            return html;
+        },
+
+        renderMatch: function (m, me) {
+            var side = function (player, bye) {
+                var label = player
+                    ? UI.playerLabel(player)
+                    : (bye ? '<em class="text-muted">bye</em>' : '<span class="text-muted">TBD</span>');
+                var cls = m.winner && player === m.winner ? ' fw-bold' : '';
+                return '<div class="' + cls + '">' + label + '</div>';
+            };
+
+            var footer = '';
+            if (m.status === 'InProgress') {
+                footer = '<a href="/Game/' + encodeURIComponent(m.gameId) + '">' +
+                    (m.playerA === me || m.playerB === me ? 'Play' : 'Watch') + '</a>';
+            } else if (m.status === 'Finished' && m.gameId) {
+                footer = (m.isDraw ? 'Draw. ' : '') +
+                    '<a href="/Game/' + encodeURIComponent(m.gameId) + '/Replay">Replay</a>';
+            } else if (m.status === 'Finished' && m.playerA && m.playerB) {
+                footer = 'Not needed';
+            }
+
+            // Drawn elimination games are replayed, so a pairing can take several games
+            if (m.gamesPlayed > 1) footer += ' <span class="text-muted">(game ' + m.gamesPlayed + ')</span>';
+
+            var classes = 'ttt-match' + (m.status === 'InProgress' ? ' live' : '') +
+                (m.playerA === me || m.playerB === me ? ' mine' : '');
+
+            return '<div class="' + classes + '">' + side(m.playerA, m.byeA) + side(m.playerB, m.byeB) +
+                (footer ? '<div class="small">' + footer + '</div>' : '') + '</div>';
+        }
     };
 
     // =========================================================================
     // App Initialization
     // =========================================================================
     document.addEventListener('DOMContentLoaded', async function () {
+        DisplayNameModule.listen();
         DisplayNameModule.refreshUI();
 
         DisplayNameModule.init(async function () {
@@ -660,6 +2182,15 @@
 
         // Initialize game (Game page)
         await GameModule.init();
+
+        // Initialize replay (Replay page)
+        ReplayModule.init();
+
+        // Initialize tournaments (Tournament pages)
+        await TournamentModule.init();
+
+        // Challenges can arrive on any page
+        await ChallengeModule.init();
     });
 
 })();